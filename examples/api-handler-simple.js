@@ -1,38 +1,23 @@
 // Example: API Gateway Handler with Zero Observability Code
 // Developer only writes business logic!
 
-import { APIHandler } from '@company/lambda-observability';
+import { APIHandler, getLogger } from '@company/lambda-observability';
 
-const apiHandler = new APIHandler('user-service');
+const apiHandler = new APIHandler('user-service')
+    .route('GET /users/{userId}', async (event, { params }) => getUser(params.userId))
+    .route('POST /users', async (event, { request }) => createUser(JSON.parse(request.body)))
+    .route('PUT /users/{userId}', async (event, { params, request }) => updateUser(params.userId, JSON.parse(request.body)));
 
+// PURE BUSINESS LOGIC ONLY - No observability code needed!
+// Routes match REST API (proxy or not), HTTP API, ALB and Function URL events;
+// unknown paths get a 404 and unsupported methods a 405 with an Allow header
 export const handler = async (event, context) => {
-    return await apiHandler.handle(event, context, async (event, { logger, traceContext }) => {
-        // PURE BUSINESS LOGIC ONLY - No observability code needed!
-        
-        const { httpMethod, pathParameters, body } = event;
-        
-        switch (httpMethod) {
-            case 'GET':
-                return await getUser(pathParameters.userId, logger);
-                
-            case 'POST':
-                return await createUser(JSON.parse(body), logger);
-                
-            case 'PUT':
-                return await updateUser(pathParameters.userId, JSON.parse(body), logger);
-                
-            default:
-                return {
-                    statusCode: 405,
-                    body: JSON.stringify({ error: 'Method not allowed' })
-                };
-        }
-    });
+    return await apiHandler.handle(event, context);
 };
 
-// Pure business functions
-async function getUser(userId, logger) {
-    logger.addBusinessContext({ userId, operation: 'get_user' });
+// Pure business functions - getLogger() finds the current request's logger, no need to pass it around
+async function getUser(userId) {
+    getLogger().addBusinessContext({ userId, operation: 'get_user' });
     
     // Simulate database lookup
     const user = {
@@ -47,8 +32,8 @@ async function getUser(userId, logger) {
     };
 }
 
-async function createUser(userData, logger) {
-    logger.addBusinessContext({ 
+async function createUser(userData) {
+    getLogger().addBusinessContext({ 
         operation: 'create_user',
         userEmail: userData.email 
     });
@@ -74,8 +59,8 @@ async function createUser(userData, logger) {
     };
 }
 
-async function updateUser(userId, userData, logger) {
-    logger.addBusinessContext({ 
+async function updateUser(userId, userData) {
+    getLogger().addBusinessContext({ 
         userId, 
         operation: 'update_user' 
     });
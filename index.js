@@ -1,7 +1,555 @@
 // @company/lambda-observability
 // Zero-config observability for AWS Lambda functions
 
-import { trace, context } from "@opentelemetry/api";
+import { AsyncLocalStorage } from "async_hooks";
+import { randomBytes } from "crypto";
+import { STATUS_CODES } from "http";
+import { trace, metrics, context, propagation, ROOT_CONTEXT, SpanKind, TraceFlags } from "@opentelemetry/api";
+
+const tracer = trace.getTracer('@company/lambda-observability', '1.0.0');
+
+// A span's context, unless it is the all-zero one the no-op tracer hands out when no SDK is registered
+function getValidSpanContext(span) {
+    const spanContext = span?.spanContext();
+    return spanContext && trace.isSpanContextValid(spanContext) ? spanContext : undefined;
+}
+
+const XRAY_TRACE_HEADER = 'x-amzn-trace-id';
+
+// Reserved field in EventBridge `detail` that carries { traceparent, tracestate, baggage }
+export const EVENTBRIDGE_TRACE_FIELD = '_traceContext';
+
+// Same reserved field, inside JSON Kinesis record payloads
+export const KINESIS_TRACE_FIELD = '_traceContext';
+
+function findKey(carrier, key) {
+    const lowerKey = key.toLowerCase();
+    return Object.keys(carrier || {}).find(k => k.toLowerCase() === lowerKey);
+}
+
+// SNS may rewrite traceparent, so prefer the untouched copy the publisher stores alongside it
+function findAttributeKey(attributes, key) {
+    if (key.toLowerCase() === 'traceparent') {
+        return findKey(attributes, 'w3c_traceparent_orig') || findKey(attributes, key);
+    }
+    return findKey(attributes, key);
+}
+
+/**
+ * TextMap carriers - let propagation.inject/extract work with every configured propagator
+ * (tracecontext, baggage, xray, ...) against AWS message attributes and HTTP headers
+ */
+
+// Outgoing SNS/SQS MessageAttributes ({ DataType, StringValue })
+export const messageAttributeSetter = {
+    set(carrier, key, value) {
+        carrier[key] = { DataType: 'String', StringValue: value };
+    }
+};
+
+// Incoming SQS records: messageAttributes ({ stringValue }) plus the AWSTraceHeader system attribute
+export const sqsRecordGetter = {
+    keys(record) {
+        const keys = Object.keys(record.messageAttributes || {});
+        return record.attributes?.AWSTraceHeader ? [...keys, XRAY_TRACE_HEADER] : keys;
+    },
+    get(record, key) {
+        const attributes = record.messageAttributes || {};
+        const attrKey = findAttributeKey(attributes, key);
+        if (attrKey) return attributes[attrKey].stringValue;
+
+        if (key.toLowerCase() === XRAY_TRACE_HEADER) return record.attributes?.AWSTraceHeader;
+        return undefined;
+    }
+};
+
+// SNS-format MessageAttributes ({ Type, Value }), as found in SNS notification envelopes
+// and in the records of Lambdas subscribed directly to a topic
+export const snsAttributeGetter = {
+    keys(attributes) {
+        return Object.keys(attributes || {});
+    },
+    get(attributes, key) {
+        const attrKey = findAttributeKey(attributes || {}, key);
+        return attrKey ? attributes[attrKey].Value : undefined;
+    }
+};
+
+/**
+ * Merge single- and multi-value headers (API Gateway v1, ALB) into one lower-cased map
+ * Repeated values are comma-joined, cookies with '; '
+ */
+function normalizeHeaders(headers, multiValueHeaders) {
+    const normalized = {};
+
+    for (const [name, values] of Object.entries(multiValueHeaders || {})) {
+        const key = name.toLowerCase();
+        if (values?.length) normalized[key] = values.join(key === 'cookie' ? '; ' : ',');
+    }
+
+    for (const [name, value] of Object.entries(headers || {})) {
+        const key = name.toLowerCase();
+        if (value !== undefined && value !== null && !(key in normalized)) normalized[key] = String(value);
+    }
+
+    return normalized;
+}
+
+// Incoming HTTP headers, looked up case-insensitively
+export const httpHeaderGetter = {
+    keys(headers) {
+        return Object.keys(headers || {});
+    },
+    get(headers, key) {
+        const headerKey = findKey(headers, key);
+        return headerKey ? headers[headerKey] : undefined;
+    }
+};
+
+/**
+ * W3C Trace Context parsing and validation
+ * https://www.w3.org/TR/trace-context/
+ */
+const HEX_LC = /^[0-9a-f]+$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const TRACESTATE_MAX_MEMBERS = 32;
+const TRACESTATE_MAX_LENGTH = 512;
+const TRACESTATE_MEMBER_TRUNCATE_LENGTH = 128;
+const TRACESTATE_SIMPLE_KEY = /^[a-z][a-z0-9_\-*/]{0,255}$/;
+const TRACESTATE_TENANT_KEY = /^[a-z0-9][a-z0-9_\-*/]{0,240}@[a-z][a-z0-9_\-*/]{0,13}$/;
+const TRACESTATE_VALUE = /^[\x20-\x2b\x2d-\x3c\x3e-\x7e]{0,255}[\x21-\x2b\x2d-\x3c\x3e-\x7e]$/;
+
+function inspectTraceparent(value) {
+    if (typeof value !== 'string') return { reason: 'not_a_string' };
+
+    const header = value.trim();
+    const version = header.slice(0, 2);
+
+    if (version.length !== 2 || !HEX_LC.test(version)) return { reason: 'invalid_version' };
+    if (version === 'ff') return { reason: 'forbidden_version' };
+
+    // Version 00 has an exact length; later versions may append fields after a '-'
+    if (version === '00' && header.length !== 55) return { reason: 'invalid_length' };
+    if (header.length < 55 || (header.length > 55 && header[55] !== '-')) return { reason: 'invalid_length' };
+
+    if (header[2] !== '-' || header[35] !== '-' || header[52] !== '-') return { reason: 'invalid_format' };
+
+    const traceId = header.slice(3, 35);
+    const spanId = header.slice(36, 52);
+    const flags = header.slice(53, 55);
+
+    if (!HEX_LC.test(traceId)) return { reason: 'invalid_trace_id' };
+    if (traceId === INVALID_TRACE_ID) return { reason: 'zero_trace_id' };
+    if (!HEX_LC.test(spanId)) return { reason: 'invalid_parent_id' };
+    if (spanId === INVALID_SPAN_ID) return { reason: 'zero_parent_id' };
+    if (!HEX_LC.test(flags)) return { reason: 'invalid_flags' };
+
+    const traceFlags = parseInt(flags, 16);
+
+    return {
+        context: {
+            version: version,
+            traceId: traceId,
+            spanId: spanId,
+            traceFlags: traceFlags,
+            sampled: (traceFlags & TraceFlags.SAMPLED) === TraceFlags.SAMPLED,
+            // Only the fields defined by version 00 are propagated downstream
+            traceparent: `00-${traceId}-${spanId}-${flags}`
+        }
+    };
+}
+
+function inspectTracestate(value) {
+    if (typeof value !== 'string') return { reason: 'not_a_string' };
+
+    const entries = [];
+    for (const member of value.split(',')) {
+        const item = member.trim();
+        if (!item) continue; // empty list members are allowed
+
+        const separator = item.indexOf('=');
+        if (separator <= 0) return { reason: 'invalid_member' };
+
+        const key = item.slice(0, separator);
+        const memberValue = item.slice(separator + 1);
+
+        if (!TRACESTATE_SIMPLE_KEY.test(key) && !TRACESTATE_TENANT_KEY.test(key)) return { reason: 'invalid_key' };
+        if (!TRACESTATE_VALUE.test(memberValue)) return { reason: 'invalid_value' };
+        if (entries.some(([existing]) => existing === key)) return { reason: 'duplicate_key' };
+
+        entries.push([key, memberValue]);
+    }
+
+    if (entries.length > TRACESTATE_MAX_MEMBERS) return { reason: 'too_many_members' };
+
+    // Over the size limit, drop oversized members first, then trim from the end
+    let members = entries.map(([key, memberValue]) => `${key}=${memberValue}`);
+    if (members.join(',').length > TRACESTATE_MAX_LENGTH) {
+        members = members.filter(member => member.length <= TRACESTATE_MEMBER_TRUNCATE_LENGTH);
+        while (members.join(',').length > TRACESTATE_MAX_LENGTH) members.pop();
+    }
+
+    return {
+        entries: members.map(member => [member.slice(0, member.indexOf('=')), member.slice(member.indexOf('=') + 1)]),
+        tracestate: members.join(',')
+    };
+}
+
+/**
+ * Explain why a traceparent header is invalid, or return null when it is valid
+ */
+export function validateTraceparent(value) {
+    return inspectTraceparent(value).reason || null;
+}
+
+/**
+ * Parse a traceparent header into { version, traceId, spanId, traceFlags, sampled, traceparent }
+ * Returns null for malformed headers and all-zero trace or parent IDs
+ */
+export function parseTraceparent(value) {
+    return inspectTraceparent(value).context || null;
+}
+
+/**
+ * Explain why a tracestate header is invalid, or return null when it is valid
+ */
+export function validateTracestate(value) {
+    return inspectTracestate(value).reason || null;
+}
+
+/**
+ * Parse a tracestate header into { entries: [[key, value], ...], tracestate }
+ * Returns null for malformed lists; oversized lists are truncated per the spec
+ */
+export function parseTracestate(value) {
+    const { reason, ...parsed } = inspectTracestate(value);
+    return reason ? null : parsed;
+}
+
+/**
+ * Create a brand new root trace context from crypto randomness
+ * With options.xrayCompatible the trace ID starts with the epoch seconds, as X-Ray requires
+ */
+export function generateRootTraceContext(options = {}) {
+    const randomHex = (bytes) => {
+        let hex;
+        do {
+            hex = randomBytes(bytes).toString('hex');
+        } while (/^0+$/.test(hex)); // all-zero IDs are invalid
+        return hex;
+    };
+
+    const traceId = options.xrayCompatible
+        ? Math.floor(Date.now() / 1000).toString(16).padStart(8, '0') + randomHex(12)
+        : randomHex(16);
+    const spanId = randomHex(8);
+
+    return {
+        traceId: traceId,
+        spanId: spanId,
+        traceFlags: TraceFlags.SAMPLED,
+        traceparent: `00-${traceId}-${spanId}-01`
+    };
+}
+
+/**
+ * AWS X-Ray trace header <-> W3C traceparent conversion
+ * X-Ray format: Root=1-{8 hex epoch}-{24 hex};Parent={16 hex};Sampled={0|1|?};Lineage={...}
+ */
+const XRAY_ROOT_PATTERN = /^1-([0-9a-f]{8})-([0-9a-f]{24})$/i;
+const XRAY_PARENT_PATTERN = /^[0-9a-f]{16}$/i;
+
+/**
+ * Split an X-Ray trace header into its fields
+ * Returns null when the Root field is missing or malformed
+ */
+export function parseXRayTraceHeader(header) {
+    if (typeof header !== 'string' || !header) return null;
+
+    const fields = {};
+    for (const part of header.split(';')) {
+        const separator = part.indexOf('=');
+        if (separator === -1) continue;
+        fields[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+    }
+
+    const root = fields.Root?.match(XRAY_ROOT_PATTERN);
+    if (!root) return null;
+
+    return {
+        root: fields.Root,
+        traceId: `${root[1]}${root[2]}`.toLowerCase(),
+        parentId: XRAY_PARENT_PATTERN.test(fields.Parent || '') ? fields.Parent.toLowerCase() : undefined,
+        // '?' means the sampling decision was deferred downstream
+        sampled: fields.Sampled === '1' ? true : (fields.Sampled === '0' ? false : undefined),
+        lineage: fields.Lineage || undefined
+    };
+}
+
+/**
+ * Convert an X-Ray trace header into a W3C trace context
+ * Returns null without a Parent, since a traceparent needs a parent span ID
+ */
+export function xrayToTraceparent(header) {
+    const xray = parseXRayTraceHeader(header);
+    if (!xray?.parentId) return null;
+
+    const traceFlags = xray.sampled ? TraceFlags.SAMPLED : TraceFlags.NONE;
+
+    return {
+        traceId: xray.traceId,
+        spanId: xray.parentId,
+        traceFlags: traceFlags,
+        traceparent: `00-${xray.traceId}-${xray.parentId}-0${traceFlags}`,
+        lineage: xray.lineage
+    };
+}
+
+/**
+ * Convert a W3C traceparent into an X-Ray trace header
+ * Pass options.lineage to carry the Lambda recursion-detection Lineage field through
+ */
+export function traceparentToXRay(traceparent, options = {}) {
+    const parsed = parseTraceparent(traceparent);
+    if (!parsed) return null;
+
+    const { traceId, spanId } = parsed;
+    const header = `Root=1-${traceId.slice(0, 8)}-${traceId.slice(8)};Parent=${spanId};Sampled=${parsed.sampled ? '1' : '0'}`;
+
+    return options.lineage ? `${header};Lineage=${options.lineage}` : header;
+}
+
+/**
+ * Build outgoing MessageAttributes carrying the resolved trace context
+ * traceparent is always set, even when no propagator is registered
+ */
+function injectMessageAttributes(propagationContext, traceContext, messageAttributes = {}) {
+    const carrier = { ...messageAttributes };
+    propagation.inject(propagationContext, carrier, messageAttributeSetter);
+
+    if (!carrier.traceparent) {
+        messageAttributeSetter.set(carrier, 'traceparent', traceContext.traceparent);
+    }
+
+    return carrier;
+}
+
+// SendMessageBatch, SNS PublishBatch and EventBridge PutEvents all take at most 10 entries
+const MAX_BATCH_ENTRIES = 10;
+
+// Options such as messageGroupId may be a value or a function of (message, index)
+function resolveMessageOption(option, message, index) {
+    return typeof option === 'function' ? option(message, index) : option;
+}
+
+/**
+ * Send already-built entries in chunks of MAX_BATCH_ENTRIES and report every entry by its index
+ * sendChunk(entries) resolves to { successful, failed }, each item carrying the entry's `position`
+ * in the chunk it was given. options.entryFields(entry) adds fields to every report item;
+ * options.maxRetries (default 0) retries failures that were not the sender's fault, waiting
+ * retryDelayMs (default 100) doubled per attempt and calling onRetry(attempt, retryCount) first.
+ * With maxRetries set, report items also carry `attempts`.
+ */
+async function sendInChunks(entries, sendChunk, options = {}) {
+    const maxRetries = options.maxRetries ?? 0;
+    const retryDelayMs = options.retryDelayMs ?? 100;
+    const entryFields = options.entryFields || (() => ({}));
+    const report = { successful: [], failed: [], retriedCount: 0 };
+
+    for (let start = 0; start < entries.length; start += MAX_BATCH_ENTRIES) {
+        let pending = entries.slice(start, start + MAX_BATCH_ENTRIES).map((entry, offset) => ({ index: start + offset, entry: entry }));
+
+        for (let attempt = 1; pending.length > 0; attempt++) {
+            let result;
+
+            try {
+                result = await sendChunk(pending.map(item => item.entry));
+            } catch (error) {
+                // The whole request failed, so every entry in it failed with it
+                result = {
+                    successful: [],
+                    failed: pending.map((item, position) => ({
+                        position: position,
+                        code: error.name,
+                        message: error.message,
+                        senderFault: error.$fault === 'client'
+                    }))
+                };
+            }
+
+            const toReportItem = ({ position, ...fields }) => ({
+                index: pending[position].index,
+                ...entryFields(pending[position].entry),
+                ...fields,
+                ...(options.maxRetries !== undefined && { attempts: attempt })
+            });
+
+            const retryable = attempt <= maxRetries ? result.failed.filter(failure => !failure.senderFault) : [];
+
+            report.successful.push(...result.successful.map(toReportItem));
+            report.failed.push(...result.failed.filter(failure => !retryable.includes(failure)).map(toReportItem));
+
+            if (retryable.length > 0) {
+                report.retriedCount += retryable.length;
+                options.onRetry?.(attempt, retryable.length);
+
+                await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (attempt - 1)));
+            }
+
+            pending = retryable.map(failure => pending[failure.position]);
+        }
+    }
+
+    return report;
+}
+
+// SQS SendMessageBatch and SNS PublishBatch report results by entry Id
+function batchResultsByPosition(entries, result) {
+    const positionById = new Map(entries.map((entry, position) => [entry.Id, position]));
+
+    return {
+        successful: (result.Successful || []).map(entry => ({
+            position: positionById.get(entry.Id),
+            messageId: entry.MessageId,
+            sequenceNumber: entry.SequenceNumber
+        })),
+        failed: (result.Failed || []).map(entry => ({
+            position: positionById.get(entry.Id),
+            code: entry.Code,
+            message: entry.Message,
+            senderFault: entry.SenderFault
+        }))
+    };
+}
+
+// CloudWatch Embedded Metric Format limits per document
+const EMF_MAX_METRICS = 100;
+const EMF_MAX_VALUES = 100;
+const EMF_MAX_DIMENSIONS = 30;
+
+const METRIC_UNITS = new Set([
+    'Seconds', 'Microseconds', 'Milliseconds', 'Bytes', 'Kilobytes', 'Megabytes', 'Gigabytes', 'Terabytes',
+    'Bits', 'Kilobits', 'Megabits', 'Gigabits', 'Terabits', 'Percent', 'Count',
+    'Bytes/Second', 'Kilobytes/Second', 'Megabytes/Second', 'Gigabytes/Second', 'Terabytes/Second',
+    'Bits/Second', 'Kilobits/Second', 'Megabits/Second', 'Gigabits/Second', 'Terabits/Second',
+    'Count/Second', 'None'
+]);
+
+// 4xx HttpErrors are the caller's fault
+const isClientHttpError = (error) => error instanceof HttpError && error.statusCode < 500;
+
+// Log levels by severity; entries below the LOG_LEVEL threshold are dropped (or buffered, for DEBUG)
+const LOG_LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+
+function resolveLogLevel(level) {
+    const name = typeof level === 'string' ? level.trim().toUpperCase() : undefined;
+    return name in LOG_LEVELS ? name : undefined;
+}
+
+// OpenTelemetry instruments recorded when METRICS_MODE is otel or both
+const OTEL_INSTRUMENTS = {
+    'operation.duration': { type: 'histogram', unit: 's', description: 'Duration of monitored operations' },
+    'messaging.process.duration': { type: 'histogram', unit: 's', description: 'Duration of processing one message' },
+    'messaging.client.consumed.messages': { type: 'counter', unit: '{message}', description: 'Number of messages delivered to the function' },
+    'messaging.client.published.messages': { type: 'counter', unit: '{message}', description: 'Number of messages published' }
+};
+
+// EMF units as UCUM units for business metrics recorded through OpenTelemetry
+const OTEL_UNITS = {
+    Seconds: 's', Microseconds: 'us', Milliseconds: 'ms', Bytes: 'By', Kilobytes: 'kBy', Megabytes: 'MBy',
+    Gigabytes: 'GBy', Terabytes: 'TBy', Bits: 'bit', Percent: '%', Count: '{count}'
+};
+
+let otelMeter = null;
+const otelInstruments = new Map();
+
+/**
+ * Get (or create) an instrument on the global MeterProvider
+ * Without a registered provider the API hands out no-op instruments
+ */
+function getOtelInstrument(name, spec = OTEL_INSTRUMENTS[name]) {
+    const provider = metrics.getMeterProvider();
+
+    // A provider registered after the first lookup gets fresh instruments
+    if (otelMeter?.provider !== provider) {
+        otelMeter = { provider: provider, meter: provider.getMeter('@company/lambda-observability', '1.0.0') };
+        otelInstruments.clear();
+    }
+
+    if (!otelInstruments.has(name)) {
+        const options = { unit: spec.unit, description: spec.description };
+        otelInstruments.set(name, spec.type === 'counter'
+            ? otelMeter.meter.createCounter(name, options)
+            : otelMeter.meter.createHistogram(name, options));
+    }
+
+    return otelInstruments.get(name);
+}
+
+// The first invocation in this execution environment is the cold start
+let coldStart = true;
+
+// Time from process start until this library finished loading. It is not the Lambda init duration:
+// the runtime bootstrap is included but the rest of the handler module's own init is not
+const libraryLoadMs = Math.round(performance.now());
+
+// The ObservabilityManager of the invocation running in the current async context
+const invocationStorage = new AsyncLocalStorage();
+
+// { manager, logger, span } for code running inside withSpan(), so concurrent spans don't mix;
+// manager is the root manager, logger the manager or child logger that opened the span
+const spanStorage = new AsyncLocalStorage();
+
+/**
+ * Run a handler body with `obs` as the current invocation (see getObservability)
+ * and finish the invocation however the body ends
+ */
+async function runInvocation(obs, fn) {
+    return await invocationStorage.run(obs, async () => {
+        try {
+            return await fn();
+        } finally {
+            await obs.finish();
+        }
+    });
+}
+
+// Time left for Lambda to return after the end-of-invocation flush
+const FLUSH_RESERVE_MS = 100;
+
+/**
+ * Force-flush the global tracer and meter providers (no-ops without an SDK)
+ * Resolves with one { provider, error } entry per provider that failed or ran out of time
+ */
+async function forceFlushProviders(timeoutMs) {
+    const tracerProvider = trace.getTracerProvider();
+    const providers = {
+        tracer: tracerProvider.getDelegate?.() || tracerProvider,
+        meter: metrics.getMeterProvider()
+    };
+
+    const results = await Promise.all(Object.entries(providers)
+        .filter(([, provider]) => typeof provider.forceFlush === 'function')
+        .map(async ([name, provider]) => {
+            let timer;
+            try {
+                await Promise.race([
+                    provider.forceFlush(),
+                    new Promise((resolve, reject) => {
+                        timer = setTimeout(() => reject(new Error(`forceFlush timed out after ${timeoutMs}ms`)), timeoutMs);
+                    })
+                ]);
+                return null;
+            } catch (error) {
+                return { provider: name, error: error.message };
+            } finally {
+                clearTimeout(timer);
+            }
+        }));
+
+    return results.filter(Boolean);
+}
 
 /**
  * Observability Library - Handles all OTEL complexity automatically
@@ -9,55 +557,242 @@ import { trace, context } from "@opentelemetry/api";
  */
 
 class ObservabilityManager {
-    constructor(serviceName) {
+    /**
+     * options.metricsNamespace - CloudWatch namespace for metrics (default: METRICS_NAMESPACE or LambdaObservability)
+     * options.metricsMode - emf, otel, both or none (default: METRICS_MODE or emf)
+     * options.timeoutWarningMs - warn and flush this long before the Lambda timeout (default: TIMEOUT_WARNING_MS or 1000)
+     * options.flushTimeoutMs - longest end-of-invocation flush (default: FLUSH_TIMEOUT_MS or 2000)
+     * options.logLevel - DEBUG, INFO, WARN or ERROR threshold (default: LOG_LEVEL or DEBUG)
+     * options.debugSampleRate - share of invocations that log DEBUG whatever the threshold (default: LOG_DEBUG_SAMPLE_RATE or 0)
+     * options.bufferDebugLogs - hold DEBUG logs below the threshold until an error (default: LOG_BUFFER_DEBUG=true)
+     * options.logBufferSize - most DEBUG entries held per invocation, oldest dropped first (default: LOG_BUFFER_SIZE or 500)
+     */
+    constructor(serviceName, options = {}) {
+        const metricsMode = options.metricsMode || process.env.METRICS_MODE || 'emf';
+        const debugSampleRate = options.debugSampleRate ?? (Number(process.env.LOG_DEBUG_SAMPLE_RATE) || 0);
+
         this.serviceName = serviceName || process.env.SERVICE_NAME || 'unknown-service';
-        this.currentSpan = null;
+        this.metricsNamespace = options.metricsNamespace || process.env.METRICS_NAMESPACE || 'LambdaObservability';
+        this.emfMetrics = metricsMode === 'emf' || metricsMode === 'both';
+        this.otelMetrics = metricsMode === 'otel' || metricsMode === 'both';
+        this.timeoutWarningMs = options.timeoutWarningMs ?? (Number(process.env.TIMEOUT_WARNING_MS) || 1000);
+        this.timeoutWatchdog = null;
+        this.flushTimeoutMs = options.flushTimeoutMs ?? (Number(process.env.FLUSH_TIMEOUT_MS) || 2000);
+        this.finishing = null;
+        this.logLevel = resolveLogLevel(options.logLevel) || resolveLogLevel(process.env.LOG_LEVEL) || 'DEBUG';
+        this.debugSampled = Math.random() < debugSampleRate; // decided once, so an invocation logs all its DEBUG or none
+        this.bufferDebugLogs = options.bufferDebugLogs ?? process.env.LOG_BUFFER_DEBUG === 'true';
+        this.logBufferSize = options.logBufferSize ?? (Number(process.env.LOG_BUFFER_SIZE) || 500);
+        this.logBuffer = []; // { scope, line }
+        this.droppedLogCount = 0;
+        this.failedLogScopes = new WeakSet();
+        this.logScope = this;
+        this.root = this;
+        this.fields = {};
+        this.rootSpan = null;
+        this.invalidTraceContextCount = 0;
+        this.erroredSpans = new WeakMap(); // span -> error.type
+        this.metrics = new Map();
+    }
+
+    /**
+     * The span logs, monitors and business context attach to: the innermost withSpan()
+     * of this manager in the current async context, otherwise the invocation span.
+     * A child with a bound span only follows spans opened through itself or its own children
+     */
+    get currentSpan() {
+        const scope = spanStorage.getStore();
+        const inScope = scope?.manager === this.root;
+
+        if (this.boundSpan && !(inScope && (scope.logger === this || this.isPrototypeOf(scope.logger)))) {
+            return this.boundSpan;
+        }
+
+        return inScope ? scope.span : this.rootSpan;
+    }
+
+    set currentSpan(span) {
+        this.rootSpan = span;
     }
 
     /**
      * Initialize observability for the Lambda function
      * Call this at the start of your handler
      */
-    init(event, context) {
+    init(event, lambdaContext) {
         this.currentSpan = trace.getSpan(context.active());
-        this.lambdaContext = context;
+        this.invocationSpan = this.currentSpan;
+        this.lambdaContext = lambdaContext;
         this.event = event;
-        
+
+        const isColdStart = coldStart;
+        coldStart = false;
+
         // Add service metadata to span
         if (this.currentSpan) {
             this.currentSpan.setAttributes({
                 'service.name': this.serviceName,
-                'faas.execution': context.awsRequestId,
-                'faas.id': context.functionName,
-                'faas.version': context.functionVersion
+                'faas.execution': lambdaContext.awsRequestId,
+                'faas.id': lambdaContext.functionName,
+                'faas.version': lambdaContext.functionVersion,
+                'faas.coldstart': isColdStart,
+                ...(lambdaContext.memoryLimitInMB && { 'faas.max_memory': Number(lambdaContext.memoryLimitInMB) * 1024 * 1024 }),
+                ...(isColdStart && { library_load_ms: libraryLoadMs })
             });
         }
 
         this.log('INFO', 'function_started', {
-            requestId: context.awsRequestId,
-            functionName: context.functionName,
-            eventType: this.detectEventType(event)
+            requestId: lambdaContext.awsRequestId,
+            functionName: lambdaContext.functionName,
+            eventType: this.detectEventType(event),
+            coldStart: isColdStart,
+            ...(isColdStart && { libraryLoadMs: libraryLoadMs }),
+            ...(this.debugSampled && { debugLogsSampled: true })
         });
 
+        if (isColdStart) {
+            this.emfMetric('ColdStart', 1, 'Count');
+            this.emfMetric('LibraryLoadDuration', libraryLoadMs, 'Milliseconds');
+        }
+
+        this.startTimeoutWatchdog();
+
         return this;
     }
 
+    /**
+     * Warn, add a span event and flush telemetry shortly before the invocation times out,
+     * so a timeout leaves logs, metrics and finished spans behind
+     */
+    startTimeoutWatchdog() {
+        const remainingTime = this.lambdaContext?.getRemainingTimeInMillis?.();
+        if (!(remainingTime > this.timeoutWarningMs)) return;
+
+        this.timeoutWatchdog = setTimeout(async () => {
+            const remainingTimeMs = this.lambdaContext.getRemainingTimeInMillis();
+
+            this.log('WARN', 'invocation_timeout_approaching', {
+                remainingTimeMs: remainingTimeMs,
+                timeoutWarningMs: this.timeoutWarningMs
+            });
+
+            for (const span of new Set([this.invocationSpan, this.currentSpan])) {
+                span?.addEvent('faas.timeout_approaching', { 'faas.remaining_time_ms': remainingTimeMs });
+            }
+
+            // A timeout is a failure too; write what led up to it while there is still time
+            this.flushLogBuffer();
+
+            await this.flushTelemetry();
+        }, remainingTime - this.timeoutWarningMs);
+
+        // Never keep the event loop alive just for the watchdog
+        this.timeoutWatchdog.unref?.();
+    }
+
     /**
      * Structured logging with automatic trace correlation
+     * Entries below the log level are dropped; DEBUG entries may be sampled in or buffered instead
      */
     log(level, message, data = {}) {
+        const root = this.root;
+        const enabled = (LOG_LEVELS[level] ?? LOG_LEVELS.INFO) >= LOG_LEVELS[root.logLevel]
+            || (level === 'DEBUG' && root.debugSampled);
+        // Held DEBUG entries wait in the buffer until their scope fails, then are written straight away
+        const held = !enabled && level === 'DEBUG' && root.bufferDebugLogs;
+
+        if (!enabled && !held) return;
+
+        const spanContext = getValidSpanContext(this.currentSpan);
         const logEntry = {
             timestamp: new Date().toISOString(),
             level: level,
             service: this.serviceName,
             message: message,
             requestId: this.lambdaContext?.awsRequestId,
-            traceId: this.currentSpan?.spanContext().traceId,
-            spanId: this.currentSpan?.spanContext().spanId,
+            traceId: spanContext?.traceId,
+            spanId: spanContext?.spanId,
+            ...this.fields,
             ...data
         };
 
-        console.log(JSON.stringify(logEntry));
+        if (held && !root.failedLogScopes.has(root) && !root.failedLogScopes.has(this.logScope)) {
+            this.bufferLog(JSON.stringify(logEntry));
+        } else {
+            console.log(JSON.stringify(logEntry));
+        }
+    }
+
+    /**
+     * Change the log level for the rest of this invocation, e.g. to DEBUG for a single tenant
+     */
+    setLogLevel(level) {
+        const logLevel = resolveLogLevel(level);
+        if (!logLevel) {
+            throw new Error(`Unknown log level ${level}; expected one of ${Object.keys(LOG_LEVELS).join(', ')}`);
+        }
+
+        this.root.logLevel = logLevel;
+        return this;
+    }
+
+    /**
+     * Hold a serialized DEBUG entry for this logger's scope, dropping the oldest when full
+     */
+    bufferLog(line) {
+        const root = this.root;
+
+        if (root.logBuffer.length >= root.logBufferSize) {
+            root.logBuffer.shift();
+            root.droppedLogCount++;
+        }
+
+        root.logBuffer.push({ scope: this.logScope, line: line });
+    }
+
+    /**
+     * Write the DEBUG entries buffered for this logger's scope - its record, or the whole
+     * invocation - and log that scope unbuffered from now on. Called when the scope fails
+     */
+    flushLogBuffer() {
+        const root = this.root;
+        const scope = this.logScope;
+        if (!root.bufferDebugLogs || root.failedLogScopes.has(root)) return this;
+
+        root.failedLogScopes.add(scope);
+        root.logBuffer = root.logBuffer.filter(entry => {
+            if (scope !== root && entry.scope !== scope) return true;
+
+            console.log(entry.line);
+            return false;
+        });
+
+        if (scope === root && root.droppedLogCount > 0) {
+            this.log('WARN', 'debug_logs_dropped', {
+                droppedCount: root.droppedLogCount,
+                logBufferSize: root.logBufferSize
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * Logger that adds `fields` to every entry and shares this invocation's spans, metrics and lifecycle
+     * options.span points its logs, business context and monitors at another span
+     * options.bufferScope writes the child's buffered DEBUG logs when it fails, not only when the invocation does
+     */
+    child(fields = {}, options = {}) {
+        const child = Object.create(this);
+
+        child.fields = {
+            ...this.fields,
+            ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined))
+        };
+        if (options.span) child.boundSpan = options.span;
+        if (options.bufferScope) child.logScope = child;
+
+        return child;
     }
 
     /**
@@ -83,11 +818,8 @@ class ObservabilityManager {
     handleError(error, context = {}) {
         if (this.currentSpan) {
             this.currentSpan.recordException(error);
-            this.currentSpan.setStatus({ 
-                code: 2, // ERROR
-                message: error.message 
-            });
         }
+        this.markError(error.message, error.constructor.name);
 
         this.log('ERROR', 'operation_failed', {
             error: error.message,
@@ -99,379 +831,2483 @@ class ObservabilityManager {
         return this;
     }
 
+    /**
+     * Mark the current span as failed; complete() will not overwrite it with OK
+     * Also writes the DEBUG logs buffered for this logger's record or invocation
+     */
+    markError(message, errorType = '_OTHER') {
+        if (this.currentSpan) {
+            this.currentSpan.setStatus({ 
+                code: 2, // ERROR
+                message: message 
+            });
+            this.erroredSpans.set(this.currentSpan, errorType);
+        }
+
+        this.flushLogBuffer();
+
+        return this;
+    }
+
     /**
      * Monitor async operations with automatic timing and error handling
+     * Each call runs in its own child span, so repeated and nested operations are kept apart
+     * options.isClientError(error) decides which failures are the caller's fault (default: 4xx HttpErrors)
      */
-    async monitor(operationName, operation, context = {}) {
-        const startTime = Date.now();
-        
-        this.log('DEBUG', `${operationName}_started`, context);
+    async monitor(operationName, operation, context = {}, options = {}) {
+        return await this.withSpan(operationName, {
+            attributes: { 'operation.name': operationName }
+        }, null, async (span) => {
+            const startTime = Date.now();
 
-        try {
-            const result = await operation();
-            const duration = Date.now() - startTime;
+            this.log('DEBUG', `${operationName}_started`, context);
+
+            try {
+                const result = await operation();
+                const duration = Date.now() - startTime;
+
+                span.setStatus({ code: 1 }); // OK
+
+                this.emfMetric('OperationDuration', duration, 'Milliseconds', { operation: operationName });
+                this.emfMetric('OperationSuccess', 1, 'Count', { operation: operationName });
+                this.recordInstrument('operation.duration', duration / 1000, { 'operation.name': operationName });
+
+                this.log('INFO', `${operationName}_completed`, {
+                    duration: duration,
+                    success: true,
+                    ...context
+                });
+
+                return result;
+
+            } catch (error) {
+                const duration = Date.now() - startTime;
+
+                // Client errors are the caller's fault, not a failure of this operation
+                const clientError = (options.isClientError || isClientHttpError)(error);
+
+                if (!clientError) {
+                    span.recordException(error);
+                    span.setStatus({
+                        code: 2, // ERROR
+                        message: error.message
+                    });
+                    this.emfMetric('OperationFailure', 1, 'Count', { operation: operationName });
+
+                    // Held DEBUG logs go out ahead of the failure they explain
+                    this.flushLogBuffer();
+                }
+
+                this.emfMetric('OperationDuration', duration, 'Milliseconds', { operation: operationName });
+                this.recordInstrument('operation.duration', duration / 1000, {
+                    'operation.name': operationName,
+                    ...(!clientError && { 'error.type': error.constructor.name })
+                });
+
+                this.log(clientError ? 'WARN' : 'ERROR', `${operationName}_failed`, {
+                    duration: duration,
+                    error: error.message,
+                    ...context
+                });
+
+                throw error;
+
+            } finally {
+                // Managers outside an invocation (standalone publishers) never reach complete()
+                if (!this.lambdaContext) this.flushMetrics();
+            }
+        });
+    }
+
+    /**
+     * Record a business metric in every enabled metrics mode
+     * EMF values get service and function dimensions; OTel values go to a histogram named after the metric.
+     * options.namespace overrides the EMF namespace
+     */
+    metric(name, value, unit = 'None', dimensions = {}, options = {}) {
+        if (!Number.isFinite(value) || !METRIC_UNITS.has(unit)) {
+            this.log('WARN', 'metric_dropped', { metric: name, value: value, unit: unit });
+            return this;
+        }
+
+        this.emfMetric(name, value, unit, dimensions, options);
+
+        if (this.otelMetrics) {
+            getOtelInstrument(name, { type: 'histogram', unit: OTEL_UNITS[unit] }).record(value, dimensions);
+        }
+
+        return this;
+    }
+
+    /**
+     * Buffer an EMF value; values are aggregated per namespace and dimension set
+     * and written as CloudWatch EMF documents by flushMetrics()
+     */
+    emfMetric(name, value, unit, dimensions = {}, options = {}) {
+        if (!this.emfMetrics) return this;
+
+        const allDimensions = Object.fromEntries(Object.entries({
+            service: this.serviceName,
+            function: this.lambdaContext?.functionName || process.env.AWS_LAMBDA_FUNCTION_NAME,
+            ...dimensions
+        }).filter(([, dimensionValue]) => dimensionValue !== undefined && dimensionValue !== null)
+            .map(([key, dimensionValue]) => [key, String(dimensionValue)]));
+
+        if (Object.keys(allDimensions).length > EMF_MAX_DIMENSIONS) {
+            this.log('WARN', 'metric_dropped', { metric: name, reason: 'too_many_dimensions' });
+            return this;
+        }
+
+        const namespace = options.namespace || this.metricsNamespace;
+        const key = JSON.stringify([namespace, Object.entries(allDimensions).sort()]);
+
+        if (!this.metrics.has(key)) {
+            this.metrics.set(key, { namespace: namespace, dimensions: allDimensions, values: new Map() });
+        }
+
+        const { values } = this.metrics.get(key);
+        if (!values.has(name)) {
+            values.set(name, { unit: unit, values: [] });
+        }
+        values.get(name).values.push(value);
+
+        return this;
+    }
+
+    /**
+     * Record one of the OTEL_INSTRUMENTS when OTel metrics are enabled
+     */
+    recordInstrument(name, value, attributes) {
+        if (!this.otelMetrics) return this;
+
+        const instrument = getOtelInstrument(name);
+        if (OTEL_INSTRUMENTS[name].type === 'counter') {
+            instrument.add(value, attributes);
+        } else {
+            instrument.record(value, attributes);
+        }
+
+        return this;
+    }
+
+    /**
+     * Count published messages; each failure is counted with its error code as error.type
+     */
+    recordPublished(attributes, successCount, failures = []) {
+        if (successCount > 0) {
+            this.recordInstrument('messaging.client.published.messages', successCount, attributes);
+        }
+
+        for (const failure of failures) {
+            this.recordInstrument('messaging.client.published.messages', 1, {
+                ...attributes,
+                'error.type': failure.code || '_OTHER'
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * Write the buffered metrics to stdout as EMF documents and clear the buffer
+     */
+    flushMetrics() {
+        const timestamp = Date.now();
+
+        const traceId = getValidSpanContext(this.currentSpan)?.traceId;
+
+        for (const { namespace, dimensions, values } of this.metrics.values()) {
+            const metrics = [...values.entries()];
+
+            for (let start = 0; start < metrics.length; start += EMF_MAX_METRICS) {
+                const chunk = metrics.slice(start, start + EMF_MAX_METRICS);
+                const documentCount = Math.max(...chunk.map(([, metric]) => Math.ceil(metric.values.length / EMF_MAX_VALUES)));
+
+                // Metrics with more than 100 values spill over into further documents
+                for (let page = 0; page < documentCount; page++) {
+                    const present = chunk.filter(([, metric]) => metric.values.length > page * EMF_MAX_VALUES);
+
+                    console.log(JSON.stringify({
+                        _aws: {
+                            Timestamp: timestamp,
+                            CloudWatchMetrics: [{
+                                Namespace: namespace,
+                                Dimensions: [Object.keys(dimensions)],
+                                Metrics: present.map(([name, metric]) => ({ Name: name, Unit: metric.unit }))
+                            }]
+                        },
+                        requestId: this.lambdaContext?.awsRequestId,
+                        traceId: traceId,
+                        ...dimensions,
+                        ...Object.fromEntries(present.map(([name, metric]) => {
+                            const pageValues = metric.values.slice(page * EMF_MAX_VALUES, (page + 1) * EMF_MAX_VALUES);
+                            return [name, pageValues.length === 1 ? pageValues[0] : pageValues];
+                        }))
+                    }));
+                }
+            }
+        }
+
+        this.metrics.clear();
+        return this;
+    }
+
+    /**
+     * Run a function inside a new active span
+     * The span becomes currentSpan for logs and monitors until it ends, only within fn's async context
+     */
+    async withSpan(spanName, options, parentContext, fn) {
+        // A child bound to another span parents new spans to it
+        const currentSpan = this.currentSpan;
+        const defaultParent = currentSpan && currentSpan === this.boundSpan
+            ? trace.setSpan(context.active(), currentSpan)
+            : context.active();
+
+        return await tracer.startActiveSpan(spanName, options, parentContext || defaultParent, async (span) => {
+            try {
+                return await spanStorage.run({ manager: this.root, logger: this, span: span }, () => fn(span));
+            } finally {
+                span.end();
+            }
+        });
+    }
+
+    /**
+     * Run a function inside a consumer span parented to an incoming trace context
+     * When there is one, the span also links back to the invocation span.
+     * Each call counts one consumed message and its processing duration
+     */
+    async withConsumerSpan(spanName, attributes, traceContext, fn) {
+        const invocationSpanContext = getValidSpanContext(this.currentSpan);
+
+        return await this.withSpan(spanName, {
+            kind: SpanKind.CONSUMER,
+            attributes: attributes,
+            links: traceContext && invocationSpanContext ? [{ context: invocationSpanContext }] : []
+        }, this.createParentContext(traceContext), async (span) => {
+            const startTime = Date.now();
+            let errorType;
+
+            try {
+                return await fn(span);
+            } catch (error) {
+                errorType = error.constructor.name;
+                throw error;
+            } finally {
+                // Processors usually catch record errors themselves and only mark the span
+                errorType = errorType || this.erroredSpans.get(span);
+
+                const metricAttributes = {
+                    'messaging.system': attributes['messaging.system'],
+                    'messaging.operation.name': attributes['messaging.operation.name'],
+                    'messaging.destination.name': attributes['messaging.destination.name'],
+                    ...(errorType && { 'error.type': errorType })
+                };
+
+                this.recordInstrument('messaging.client.consumed.messages', 1, metricAttributes);
+                this.recordInstrument('messaging.process.duration', (Date.now() - startTime) / 1000, metricAttributes);
+            }
+        });
+    }
+
+    /**
+     * Build an OTel context that uses an extracted remote span as parent
+     */
+    createParentContext(traceContext) {
+        if (traceContext?.context) return traceContext.context;
+        if (!traceContext?.traceId || !traceContext?.spanId) return null;
+
+        return trace.setSpanContext(context.active(), {
+            traceId: traceContext.traceId,
+            spanId: traceContext.spanId,
+            traceFlags: traceContext.traceFlags ?? TraceFlags.SAMPLED,
+            isRemote: true
+        });
+    }
+
+    /**
+     * Resolve the context to inject into outgoing messages
+     * Uses the active span, then the Lambda X-Ray context, and only then creates (and warns about) a new root
+     */
+    resolvePropagationContext(data = {}, options = {}) {
+        const activeSpanContext = trace.getSpanContext(context.active());
+        if (activeSpanContext && trace.isSpanContextValid(activeSpanContext)) {
+            return {
+                propagationContext: context.active(),
+                traceContext: this.getTraceContext()
+            };
+        }
+
+        let traceContext = xrayToTraceparent(process.env._X_AMZN_TRACE_ID);
+
+        if (!traceContext) {
+            traceContext = generateRootTraceContext(options);
+            this.log('WARN', 'trace_root_created', {
+                reason: 'no_active_span',
+                traceId: traceContext.traceId,
+                xrayCompatible: !!options.xrayCompatible,
+                ...data
+            });
+        }
+
+        return {
+            propagationContext: this.createParentContext(traceContext),
+            traceContext: traceContext
+        };
+    }
+
+    /**
+     * Get current trace context for propagation
+     */
+    getTraceContext() {
+        const sc = getValidSpanContext(this.currentSpan || trace.getSpan(context.active()));
+
+        // Without a (valid) span, fall back to the X-Ray context Lambda puts in the environment
+        if (!sc) {
+            const xrayContext = xrayToTraceparent(process.env._X_AMZN_TRACE_ID);
+            return xrayContext ? { ...xrayContext, source: 'xray' } : null;
+        }
+
+        const flags = (sc.traceFlags & 0x01) ? "01" : "00";
+        const traceparent = `00-${sc.traceId}-${sc.spanId}-${flags}`;
+        
+        return {
+            traceId: sc.traceId,
+            spanId: sc.spanId,
+            traceparent: traceparent,
+            tracestate: sc.traceState?.serialize() || undefined,
+            xrayTraceHeader: traceparentToXRay(traceparent)
+        };
+    }
+
+    /**
+     * Extract trace context from incoming events (SQS, SNS, etc.)
+     * Runs the globally configured propagators, so tracestate and baggage survive the hop,
+     * then falls back to X-Ray headers when no W3C context is present
+     */
+    extractIncomingTraceContext(record) {
+        const { carrier, getter, source } = this.findTraceCarrier(record) || {};
+
+        if (carrier) {
+            const traceContext = this.extractFromCarrier(carrier, getter, source);
+            if (traceContext) return traceContext;
+        }
+
+        // No W3C context - fall back to X-Ray (SQS AWSTraceHeader or the X-Amzn-Trace-Id header)
+        const xrayHeader = record.attributes?.AWSTraceHeader ||
+                           normalizeHeaders(record.headers, record.multiValueHeaders)[XRAY_TRACE_HEADER];
+        const xrayContext = xrayToTraceparent(xrayHeader);
+
+        return xrayContext ? { ...xrayContext, source: 'xray' } : null;
+    }
+
+    /**
+     * Run the configured propagators over a single carrier
+     */
+    extractFromCarrier(carrier, getter, source) {
+        const validatingGetter = this.createValidatingGetter(getter);
+        const extracted = propagation.extract(ROOT_CONTEXT, carrier, validatingGetter);
+
+        // Without a registered propagator, fall back to the validated W3C headers
+        const traceContext = this.toTraceContext(extracted) || this.parseTraceHeaders(carrier, validatingGetter);
+        return traceContext ? { ...traceContext, source: source } : null;
+    }
+
+    /**
+     * Locate the carrier holding trace context for a record or request
+     * Understands raw and enveloped SNS->SQS delivery as well as EventBridge->SQS envelopes
+     */
+    findTraceCarrier(record) {
+        // Handle SQS records (direct SQS, or SNS->SQS with raw message delivery)
+        if (record.messageAttributes) {
+            const attributes = record.messageAttributes;
+            if (findKey(attributes, 'w3c_traceparent_orig')) {
+                return { carrier: record, getter: sqsRecordGetter, source: 'original_from_publisher' };
+            }
+            if (findKey(attributes, 'traceparent')) {
+                return { carrier: record, getter: sqsRecordGetter, source: 'sns_modified' };
+            }
+
+            const body = this.parseRecordBody(record);
+
+            // SNS->SQS without raw message delivery: attributes live in the notification envelope
+            if (body?.Type === 'Notification' && body.MessageAttributes) {
+                return { carrier: body.MessageAttributes, getter: snsAttributeGetter, source: 'sns_envelope' };
+            }
+
+            // EventBridge->SQS: the publisher stores trace context in a reserved detail field
+            if (this.getEventBridgeTraceCarrier(body)) {
+                return { carrier: this.getEventBridgeTraceCarrier(body), getter: httpHeaderGetter, source: 'eventbridge_envelope' };
+            }
+
+            // Nothing W3C-shaped, but the X-Ray propagator may still read AWSTraceHeader
+            return { carrier: record, getter: sqsRecordGetter, source: 'sqs_attributes' };
+        }
+
+        // Handle SNS records delivered straight to Lambda
+        if (record.Sns) {
+            return { carrier: record.Sns.MessageAttributes || {}, getter: snsAttributeGetter, source: 'sns_attributes' };
+        }
+
+        // Handle EventBridge events
+        if (this.getEventBridgeTraceCarrier(record)) {
+            return { carrier: this.getEventBridgeTraceCarrier(record), getter: httpHeaderGetter, source: 'eventbridge' };
+        }
+
+        // Handle HTTP events (API Gateway v1/v2, ALB, Function URLs)
+        if (record.headers || record.multiValueHeaders) {
+            return { carrier: normalizeHeaders(record.headers, record.multiValueHeaders), getter: httpHeaderGetter, source: 'http_headers' };
+        }
+
+        return null;
+    }
+
+    getEventBridgeTraceCarrier(event) {
+        if (!event?.source || !event['detail-type']) return null;
+        return event.detail?.[EVENTBRIDGE_TRACE_FIELD] || null;
+    }
+
+    parseRecordBody(record) {
+        try {
+            return typeof record.body === 'string' ? JSON.parse(record.body) : null;
+        } catch (error) {
+            return null; // Not JSON, so not an envelope
+        }
+    }
+
+    /**
+     * Wrap a TextMap getter so malformed traceparent/tracestate values never reach the propagators
+     * Rejected values are reported through a WARN log and invalidTraceContextCount
+     */
+    createValidatingGetter(getter) {
+        const checked = new Map();
+
+        return {
+            keys: (carrier) => getter.keys(carrier),
+            get: (carrier, key) => {
+                const header = key.toLowerCase();
+                const value = getter.get(carrier, key);
+                if (value === undefined || (header !== 'traceparent' && header !== 'tracestate')) return value;
+
+                if (!checked.has(header)) {
+                    const parsed = header === 'traceparent' ? parseTraceparent(value) : parseTracestate(value);
+                    if (!parsed) {
+                        const reason = header === 'traceparent' ? validateTraceparent(value) : validateTracestate(value);
+                        this.reportInvalidTraceContext(header, value, reason);
+                    }
+                    checked.set(header, parsed ? parsed[header] : undefined);
+                }
+
+                return checked.get(header);
+            }
+        };
+    }
+
+    /**
+     * Record a rejected trace header
+     */
+    reportInvalidTraceContext(header, value, reason) {
+        this.root.invalidTraceContextCount++;
+
+        this.log('WARN', 'invalid_trace_context', {
+            header: header,
+            value: String(value).slice(0, 256),
+            reason: reason,
+            invalidTraceContextCount: this.invalidTraceContextCount
+        });
+    }
+
+    /**
+     * Build a trace context straight from validated W3C headers
+     */
+    parseTraceHeaders(carrier, getter) {
+        const parsed = parseTraceparent(getter.get(carrier, 'traceparent'));
+        if (!parsed) return null;
+
+        return {
+            traceId: parsed.traceId,
+            spanId: parsed.spanId,
+            traceFlags: parsed.traceFlags,
+            traceparent: parsed.traceparent,
+            tracestate: getter.get(carrier, 'tracestate')
+        };
+    }
+
+    /**
+     * Describe an extracted OTel context in the shape handed to business logic
+     */
+    toTraceContext(extracted) {
+        const sc = trace.getSpanContext(extracted);
+        if (!sc || !trace.isSpanContextValid(sc)) {
+            return null;
+        }
+
+        const flags = (sc.traceFlags & 0x01) ? "01" : "00";
+        const baggage = propagation.getBaggage(extracted);
+
+        return {
+            traceId: sc.traceId,
+            spanId: sc.spanId,
+            traceFlags: sc.traceFlags,
+            traceparent: `00-${sc.traceId}-${sc.spanId}-${flags}`,
+            tracestate: sc.traceState?.serialize() || undefined,
+            baggage: baggage
+                ? Object.fromEntries(baggage.getAllEntries().map(([key, entry]) => [key, entry.value]))
+                : undefined,
+            context: extracted
+        };
+    }
+
+    /**
+     * Detect event type for automatic instrumentation
+     */
+    detectEventType(event) {
+        if (event.Records) {
+            if (event.Records[0]?.eventSource === 'aws:sqs') return 'SQS';
+            if (event.Records[0]?.EventSource === 'aws:sns') return 'SNS';
+            if (event.Records[0]?.eventSource === 'aws:s3') return 'S3';
+            if (event.Records[0]?.eventSource === 'aws:dynamodb') return 'DynamoDB';
+            if (event.Records[0]?.eventSource === 'aws:kinesis') return 'Kinesis';
+        }
+        
+        if (event.requestContext?.elb) return 'ALB';
+        if (event.version === '2.0' && event.requestContext?.http) {
+            return event.requestContext.domainName?.includes('.lambda-url.') ? 'FUNCTION_URL' : 'API_GATEWAY_V2';
+        }
+        if (event.httpMethod || event.requestContext) return 'API_GATEWAY';
+        if (event.source && event['detail-type']) return 'EVENTBRIDGE';
+        
+        return 'DIRECT_INVOKE';
+    }
+
+    /**
+     * Complete the observability session
+     */
+    complete(result = {}) {
+        this.log('INFO', 'function_completed', {
+            success: true,
+            ...(this.invalidTraceContextCount > 0 && { invalidTraceContextCount: this.invalidTraceContextCount }),
+            ...result
+        });
+
+        if (this.currentSpan && !this.erroredSpans.has(this.currentSpan)) {
+            this.currentSpan.setStatus({ code: 1 }); // OK
+        }
+
+        // Start flushing right away; handlers await the same flush before returning
+        this.finish();
+
+        return this;
+    }
+
+    /**
+     * End-of-invocation hook, run by every handler whether it succeeds, fails or reports batch failures:
+     * stops the timeout watchdog, records memory usage, flushes metrics and force-flushes the
+     * tracer and meter providers. Runs once per invocation and never rejects
+     */
+    finish() {
+        if (this.root !== this) return this.root.finish();
+
+        if (!this.finishing) {
+            clearTimeout(this.timeoutWatchdog);
+            this.timeoutWatchdog = null;
+
+            // The invocation succeeded as far as logging goes; its held DEBUG entries are not needed
+            this.logBuffer = [];
+
+            const memoryUsage = process.memoryUsage().rss;
+            this.invocationSpan?.setAttribute('process.memory.usage', memoryUsage);
+            this.emfMetric('MemoryUsed', Math.round(memoryUsage / 1024 / 1024), 'Megabytes');
+
+            this.finishing = this.flushTelemetry().then(({ flushDurationMs, flushBudgetMs, failures }) => {
+                this.log(failures.length > 0 ? 'WARN' : 'INFO', 'telemetry_flushed', {
+                    flushDurationMs: flushDurationMs,
+                    flushBudgetMs: flushBudgetMs,
+                    ...(failures.length > 0 && { flushFailures: failures })
+                });
+            });
+        }
+
+        return this.finishing;
+    }
+
+    /**
+     * Flush metrics, then force-flush the providers within the time the invocation has left
+     */
+    async flushTelemetry() {
+        const startTime = Date.now();
+        const remainingTime = this.lambdaContext?.getRemainingTimeInMillis?.();
+        const flushBudgetMs = remainingTime === undefined
+            ? this.flushTimeoutMs
+            : Math.min(this.flushTimeoutMs, remainingTime - FLUSH_RESERVE_MS);
+
+        this.flushMetrics();
+
+        const failures = flushBudgetMs > 0
+            ? await forceFlushProviders(flushBudgetMs)
+            : [{ provider: 'all', error: 'no time left to flush' }];
+
+        return { flushDurationMs: Date.now() - startTime, flushBudgetMs: Math.max(flushBudgetMs, 0), failures };
+    }
+}
+
+/**
+ * SQS Message Processor - Handles SQS batch processing with observability
+ */
+export class SQSProcessor {
+    constructor(serviceName) {
+        this.serviceName = serviceName;
+    }
+
+    /**
+     * Process SQS batch with automatic observability
+     * Developer only provides business logic function
+     */
+    async processBatch(event, context, businessLogic) {
+        const obs = new ObservabilityManager(this.serviceName).init(event, context);
+
+        return await runInvocation(obs, async () => {
+            obs.log('INFO', 'sqs_batch_processing_started', {
+                recordCount: event.Records?.length || 0
+            });
+
+            obs.emfMetric('BatchSize', event.Records?.length || 0, 'Count', {
+                operation: 'sqs_process',
+                queue: this.getQueueName(event.Records?.[0]?.eventSourceARN)
+            });
+
+            const results = [];
+            const failures = [];
+
+            for (const record of event.Records || []) {
+                // Extract trace context
+                const traceContext = obs.extractIncomingTraceContext(record);
+                const queueName = this.getQueueName(record.eventSourceARN);
+
+                // Each record gets its own process span, parented to the producer trace
+                await obs.withConsumerSpan(`${queueName} process`, {
+                    'messaging.system': 'aws_sqs',
+                    'messaging.operation.type': 'process',
+                    'messaging.operation.name': 'process',
+                    'messaging.destination.name': queueName,
+                    'messaging.message.id': record.messageId
+                }, traceContext, async (span) => {
+                    // Every log line for this record carries its messageId, queue and trace
+                    const logger = obs.child({ messageId: record.messageId, queueName: queueName }, { span: span, bufferScope: true });
+
+                    try {
+                        // Parse message (handle SNS->SQS wrapping)
+                        const messageData = this.parseMessage(record);
+
+                        // Add SQS context to observability
+                        logger.addBusinessContext({
+                            messageId: record.messageId,
+                            receiptHandle: record.receiptHandle,
+                            queueName: queueName
+                        });
+
+                        // Log message processing start
+                        logger.log('INFO', 'message_processing_started', {
+                            traceSource: traceContext?.source,
+                            messageSize: JSON.stringify(messageData).length
+                        });
+
+                        // Call business logic with observability wrapper
+                        const result = await logger.monitor('business_logic', async () => {
+                            return await businessLogic(messageData, {
+                                record: record,
+                                traceContext: traceContext,
+                                logger: logger,
+                                messageId: record.messageId
+                            });
+                        });
+
+                        results.push({
+                            messageId: record.messageId,
+                            status: 'success',
+                            result: result
+                        });
+
+                        logger.log('INFO', 'message_processed_successfully');
+
+                        obs.emfMetric('RecordSuccess', 1, 'Count', { operation: 'sqs_process', queue: queueName });
+
+                    } catch (error) {
+                        logger.handleError(error, {
+                            operation: 'message_processing'
+                        });
+
+                        obs.emfMetric('RecordFailure', 1, 'Count', { operation: 'sqs_process', queue: queueName });
+
+                        failures.push({
+                            itemIdentifier: record.messageId
+                        });
+
+                        results.push({
+                            messageId: record.messageId,
+                            status: 'error',
+                            error: error.message
+                        });
+                    }
+                });
+            }
+
+            obs.complete({
+                processedCount: results.length,
+                successCount: results.filter(r => r.status === 'success').length,
+                errorCount: results.filter(r => r.status === 'error').length
+            });
+
+            // Return SQS batch failure format
+            return {
+                batchItemFailures: failures
+            };
+        });
+    }
+
+    parseMessage(record) {
+        try {
+            const body = JSON.parse(record.body);
+            
+            // Handle SNS->SQS wrapping
+            if (body.Type === "Notification" && body.Message) {
+                return JSON.parse(body.Message);
+            }
+            
+            return body;
+        } catch (error) {
+            throw new Error(`Failed to parse message: ${error.message}`);
+        }
+    }
+
+    getQueueName(eventSourceARN) {
+        return eventSourceARN?.split(':').pop() || 'unknown';
+    }
+}
+
+/**
+ * DynamoDB Streams Processor - Handles stream batches with observability
+ * Records are processed in order and processing stops at the first failure,
+ * so the stream's ordering guarantees hold when Lambda retries from that record
+ */
+export class DynamoDBStreamProcessor {
+    constructor(serviceName) {
+        this.serviceName = serviceName;
+    }
+
+    /**
+     * Process a DynamoDB stream batch with automatic observability
+     * Business logic receives { eventName, keys, newImage, oldImage, sequenceNumber } per record
+     */
+    async processBatch(event, context, businessLogic) {
+        const obs = new ObservabilityManager(this.serviceName).init(event, context);
+
+        return await runInvocation(obs, async () => {
+            const { unmarshall } = await import("@aws-sdk/util-dynamodb");
+            const records = event.Records || [];
+
+            obs.log('INFO', 'dynamodb_batch_processing_started', {
+                recordCount: records.length
+            });
+
+            const results = [];
+            const failures = [];
+
+            for (const record of records) {
+                const tableName = this.getTableName(record.eventSourceARN);
+                const sequenceNumber = record.dynamodb?.SequenceNumber;
+
+                // Each record gets its own process span
+                await obs.withConsumerSpan(`${tableName} process`, {
+                    'db.system': 'dynamodb',
+                    'db.operation': record.eventName,
+                    'aws.dynamodb.table_names': [tableName],
+                    'messaging.system': 'aws_dynamodb_streams',
+                    'messaging.operation.type': 'process',
+                    'messaging.operation.name': 'process',
+                    'messaging.destination.name': tableName,
+                    'messaging.message.id': record.eventID,
+                    'messaging.dynamodb.sequence_number': sequenceNumber
+                }, null, async (span) => {
+                    const logger = obs.child({
+                        eventId: record.eventID,
+                        tableName: tableName,
+                        sequenceNumber: sequenceNumber
+                    }, { span: span, bufferScope: true });
+
+                    try {
+                        const change = {
+                            eventName: record.eventName,
+                            keys: record.dynamodb?.Keys ? unmarshall(record.dynamodb.Keys) : {},
+                            newImage: record.dynamodb?.NewImage ? unmarshall(record.dynamodb.NewImage) : undefined,
+                            oldImage: record.dynamodb?.OldImage ? unmarshall(record.dynamodb.OldImage) : undefined,
+                            sequenceNumber: sequenceNumber
+                        };
+
+                        logger.log('INFO', 'stream_record_processing_started', {
+                            eventName: record.eventName
+                        });
+
+                        const result = await logger.monitor('business_logic', async () => {
+                            return await businessLogic(change, {
+                                record: record,
+                                logger: logger,
+                                eventId: record.eventID,
+                                tableName: tableName
+                            });
+                        });
+
+                        results.push({
+                            eventId: record.eventID,
+                            status: 'success',
+                            result: result
+                        });
+
+                    } catch (error) {
+                        logger.handleError(error, {
+                            operation: 'stream_record_processing'
+                        });
+
+                        failures.push({
+                            itemIdentifier: sequenceNumber
+                        });
+
+                        results.push({
+                            eventId: record.eventID,
+                            status: 'error',
+                            error: error.message
+                        });
+                    }
+                });
+
+                // Lambda retries from the first reported failure, so later records must wait for it
+                if (failures.length > 0) break;
+            }
+
+            const skippedCount = records.length - results.length;
+            if (skippedCount > 0) {
+                obs.log('WARN', 'stream_records_skipped_after_failure', {
+                    failedSequenceNumber: failures[0].itemIdentifier,
+                    skippedCount: skippedCount
+                });
+            }
+
+            obs.complete({
+                processedCount: results.length,
+                successCount: results.filter(r => r.status === 'success').length,
+                errorCount: results.filter(r => r.status === 'error').length,
+                skippedCount: skippedCount
+            });
+
+            // Return stream batch failure format
+            return {
+                batchItemFailures: failures
+            };
+        });
+    }
+
+    getTableName(eventSourceARN) {
+        // arn:aws:dynamodb:region:account:table/<name>/stream/<label>; the label is a timestamp with colons
+        return eventSourceARN?.match(/:table\/([^/]+)/)?.[1] || 'unknown';
+    }
+}
+
+/**
+ * Kinesis Processor - Handles Kinesis Data Streams batches with observability
+ * Records are processed in order per shard; a shard stops at its first failure
+ * and that sequence number becomes Lambda's checkpoint
+ */
+export class KinesisProcessor {
+    /**
+     * options.parseJson - JSON-parse decoded record data (default true)
+     */
+    constructor(serviceName, options = {}) {
+        this.serviceName = serviceName;
+        this.parseJson = options.parseJson ?? true;
+    }
+
+    /**
+     * Process a Kinesis batch with automatic observability
+     * Business logic receives the decoded (and parsed) data for each record
+     */
+    async processBatch(event, context, businessLogic) {
+        const obs = new ObservabilityManager(this.serviceName).init(event, context);
+
+        return await runInvocation(obs, async () => {
+            const records = event.Records || [];
+            const shards = this.groupByShard(records);
+
+            obs.log('INFO', 'kinesis_batch_processing_started', {
+                recordCount: records.length,
+                shardCount: shards.size,
+                maxIteratorAgeMs: this.getIteratorAge(records)
+            });
+
+            const results = [];
+            const failures = [];
+
+            for (const [shardId, shardRecords] of shards) {
+                for (const record of shardRecords) {
+                    const streamName = this.getStreamName(record.eventSourceARN);
+                    const sequenceNumber = record.kinesis?.sequenceNumber;
+                    let failed = false;
+
+                    try {
+                        const { data, traceCarrier } = this.decodeRecord(record);
+                        const traceContext = traceCarrier
+                            ? obs.extractFromCarrier(traceCarrier, httpHeaderGetter, 'kinesis_payload')
+                            : null;
+
+                        // Each record gets its own process span, parented to the producer trace
+                        await obs.withConsumerSpan(`${streamName} process`, {
+                            'messaging.system': 'aws_kinesis',
+                            'messaging.operation.type': 'process',
+                            'messaging.operation.name': 'process',
+                            'messaging.destination.name': streamName,
+                            'messaging.message.id': sequenceNumber,
+                            'messaging.destination.partition.id': shardId,
+                            'messaging.kinesis.partition_key': record.kinesis?.partitionKey
+                        }, traceContext, async (span) => {
+                            const logger = obs.child({
+                                sequenceNumber: sequenceNumber,
+                                shardId: shardId,
+                                streamName: streamName
+                            }, { span: span, bufferScope: true });
+
+                            try {
+                                logger.log('INFO', 'kinesis_record_processing_started', {
+                                    partitionKey: record.kinesis?.partitionKey
+                                });
+
+                                const result = await logger.monitor('business_logic', async () => {
+                                    return await businessLogic(data, {
+                                        record: record,
+                                        traceContext: traceContext,
+                                        logger: logger,
+                                        sequenceNumber: sequenceNumber,
+                                        shardId: shardId,
+                                        partitionKey: record.kinesis?.partitionKey
+                                    });
+                                });
+
+                                results.push({
+                                    sequenceNumber: sequenceNumber,
+                                    status: 'success',
+                                    result: result
+                                });
+
+                            } catch (error) {
+                                logger.handleError(error, {
+                                    operation: 'kinesis_record_processing'
+                                });
+                                failed = true;
+                            }
+                        });
+
+                    } catch (error) {
+                        // Undecodable data never reaches business logic
+                        obs.handleError(error, {
+                            sequenceNumber: sequenceNumber,
+                            shardId: shardId,
+                            operation: 'kinesis_record_decoding'
+                        });
+                        failed = true;
+                    }
+
+                    if (failed) {
+                        failures.push({ itemIdentifier: sequenceNumber });
+                        results.push({ sequenceNumber: sequenceNumber, status: 'error' });
+                        break;
+                    }
+                }
+            }
+
+            obs.complete({
+                processedCount: results.length,
+                successCount: results.filter(r => r.status === 'success').length,
+                errorCount: results.filter(r => r.status === 'error').length,
+                skippedCount: records.length - results.length,
+                batchSize: records.length,
+                maxIteratorAgeMs: this.getIteratorAge(records)
+            });
+
+            // Return stream batch failure format
+            return {
+                batchItemFailures: failures
+            };
+        });
+    }
+
+    /**
+     * Base64-decode record data, JSON-parse it when enabled and lift out embedded trace context
+     */
+    decodeRecord(record) {
+        const raw = Buffer.from(record.kinesis?.data || '', 'base64').toString('utf8');
+        if (!this.parseJson) return { data: raw, traceCarrier: null };
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`Failed to parse record data: ${error.message}`);
+        }
+
+        if (data && typeof data === 'object' && data[KINESIS_TRACE_FIELD]) {
+            const { [KINESIS_TRACE_FIELD]: traceCarrier, ...payload } = data;
+            return { data: payload, traceCarrier: traceCarrier };
+        }
+
+        return { data: data, traceCarrier: null };
+    }
+
+    groupByShard(records) {
+        const shards = new Map();
+        for (const record of records) {
+            // eventID is "<shardId>:<sequenceNumber>"
+            const shardId = record.eventID?.split(':')[0] || 'unknown';
+            if (!shards.has(shardId)) shards.set(shardId, []);
+            shards.get(shardId).push(record);
+        }
+        return shards;
+    }
+
+    getIteratorAge(records) {
+        const arrivals = records
+            .map(record => record.kinesis?.approximateArrivalTimestamp)
+            .filter(timestamp => typeof timestamp === 'number');
+        if (arrivals.length === 0) return undefined;
+
+        return Math.max(0, Date.now() - Math.min(...arrivals) * 1000);
+    }
+
+    getStreamName(eventSourceARN) {
+        // arn:aws:kinesis:region:account:stream/<name>
+        return eventSourceARN?.split(':').pop()?.split('/')[1] || 'unknown';
+    }
+}
+
+/**
+ * S3 Event Processor - Handles S3 notifications with observability
+ * Accepts notifications delivered directly, through SNS, through SQS, or SNS->SQS
+ */
+export class S3EventProcessor {
+    /**
+     * options.s3Client - when given, object metadata (x-amz-meta-traceparent) is read
+     * with HeadObject so processing links to the trace of the upload
+     */
+    constructor(serviceName, options = {}) {
+        this.serviceName = serviceName;
+        this.s3 = options.s3Client;
+    }
+
+    /**
+     * Process S3 notification records with automatic observability
+     * Business logic receives { bucket, key, size, eTag, eventName, versionId, sequencer } per object
+     */
+    async processEvent(event, context, businessLogic) {
+        const obs = new ObservabilityManager(this.serviceName).init(event, context);
+
+        return await runInvocation(obs, async () => {
+            const { wrapper, entries } = this.unwrapEvent(event);
+
+            obs.log('INFO', 's3_event_processing_started', {
+                wrapper: wrapper,
+                recordCount: entries.length
+            });
+
+            const results = [];
+            const failedMessageIds = new Set();
+
+            for (const { s3Record, messageId } of entries) {
+                const object = this.describeObject(s3Record);
+                const traceContext = await this.extractObjectTraceContext(obs, object);
+
+                await obs.withConsumerSpan(`${object.bucket} process`, {
+                    'messaging.system': 'aws_s3',
+                    'messaging.operation.type': 'process',
+                    'messaging.operation.name': 'process',
+                    'messaging.destination.name': object.bucket,
+                    'aws.s3.bucket': object.bucket,
+                    'aws.s3.key': object.key,
+                    'aws.s3.event_name': object.eventName
+                }, traceContext, async (span) => {
+                    const logger = obs.child({
+                        bucket: object.bucket,
+                        key: object.key,
+                        messageId: messageId
+                    }, { span: span, bufferScope: true });
+
+                    try {
+                        logger.log('INFO', 's3_object_processing_started', {
+                            size: object.size,
+                            eventName: object.eventName
+                        });
+
+                        const result = await logger.monitor('business_logic', async () => {
+                            return await businessLogic(object, {
+                                record: s3Record,
+                                traceContext: traceContext,
+                                logger: logger,
+                                messageId: messageId
+                            });
+                        });
+
+                        results.push({ key: object.key, status: 'success', result: result });
+
+                    } catch (error) {
+                        logger.handleError(error, {
+                            operation: 's3_object_processing'
+                        });
+
+                        if (messageId) failedMessageIds.add(messageId);
+                        results.push({ key: object.key, status: 'error', error: error.message });
+                    }
+                });
+            }
+
+            const errorCount = results.filter(r => r.status === 'error').length;
+
+            // Only SQS delivery supports partial batch failures; otherwise fail the invocation so Lambda retries
+            if (wrapper !== 'SQS' && errorCount > 0) {
+                const error = new Error(`${errorCount} of ${results.length} S3 records failed`);
+                obs.handleError(error, { wrapper: wrapper, errorCount: errorCount });
+                throw error;
+            }
+
+            obs.complete({
+                wrapper: wrapper,
+                processedCount: results.length,
+                successCount: results.length - errorCount,
+                errorCount: errorCount
+            });
+
+            if (wrapper === 'SQS') {
+                return {
+                    batchItemFailures: [...failedMessageIds].map(messageId => ({ itemIdentifier: messageId }))
+                };
+            }
+
+            return { processedCount: results.length };
+        });
+    }
+
+    /**
+     * Flatten direct, SNS and SQS deliveries into S3 records
+     */
+    unwrapEvent(event) {
+        const records = event.Records || [];
+        const entries = [];
+        let wrapper = 'S3';
+
+        for (const record of records) {
+            if (record.eventSource === 'aws:s3') {
+                entries.push({ s3Record: record });
+                continue;
+            }
+
+            if (record.EventSource === 'aws:sns') {
+                wrapper = 'SNS';
+                for (const s3Record of this.parseNotification(record.Sns?.Message)) {
+                    entries.push({ s3Record });
+                }
+                continue;
+            }
+
+            if (record.eventSource === 'aws:sqs') {
+                wrapper = 'SQS';
+                let body = this.parseJson(record.body);
+
+                // SNS->SQS without raw message delivery
+                if (body?.Type === 'Notification' && body.Message) {
+                    body = this.parseJson(body.Message);
+                }
+
+                for (const s3Record of this.parseNotification(body)) {
+                    entries.push({ s3Record, messageId: record.messageId });
+                }
+            }
+        }
+
+        return { wrapper, entries };
+    }
+
+    parseNotification(notification) {
+        const parsed = typeof notification === 'string' ? this.parseJson(notification) : notification;
+
+        // s3:TestEvent and other non-record messages carry no objects
+        return (parsed?.Records || []).filter(record => record.eventSource === 'aws:s3');
+    }
+
+    parseJson(value) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    describeObject(s3Record) {
+        const { bucket, object } = s3Record.s3 || {};
+
+        return {
+            bucket: bucket?.name,
+            // Keys arrive URL-encoded, with spaces as '+'
+            key: object?.key ? decodeURIComponent(object.key.replace(/\+/g, ' ')) : undefined,
+            size: object?.size,
+            eTag: object?.eTag,
+            versionId: object?.versionId,
+            sequencer: object?.sequencer,
+            eventName: s3Record.eventName,
+            eventTime: s3Record.eventTime
+        };
+    }
+
+    /**
+     * Read trace context from the object's user metadata, if an S3 client was injected
+     */
+    async extractObjectTraceContext(obs, object) {
+        if (!this.s3 || !object.key || object.eventName?.startsWith('ObjectRemoved')) return null;
+
+        try {
+            const { HeadObjectCommand } = await import("@aws-sdk/client-s3");
+            const result = await this.s3.send(new HeadObjectCommand({
+                Bucket: object.bucket,
+                Key: object.key,
+                ...(object.versionId && { VersionId: object.versionId })
+            }));
+
+            // The SDK strips the x-amz-meta- prefix from user metadata keys
+            return obs.extractFromCarrier(result.Metadata || {}, httpHeaderGetter, 's3_object_metadata');
+
+        } catch (error) {
+            obs.log('WARN', 's3_trace_metadata_unavailable', {
+                bucket: object.bucket,
+                key: object.key,
+                error: error.message
+            });
+            return null;
+        }
+    }
+}
+
+/**
+ * SNS Handler - Handles Lambdas subscribed directly to SNS topics with observability
+ */
+export class SNSHandler {
+    constructor(serviceName) {
+        this.serviceName = serviceName;
+    }
+
+    /**
+     * Handle SNS records, each inside a consumer span linked to the publisher's trace
+     * Failures are rethrown after all records run, so SNS retries the delivery
+     */
+    async handle(event, context, businessLogic) {
+        const obs = new ObservabilityManager(this.serviceName).init(event, context);
+
+        return await runInvocation(obs, async () => {
+            const results = [];
+            const errors = [];
+
+            for (const record of event.Records || []) {
+                const sns = record.Sns || {};
+                const topicName = this.getTopicName(sns.TopicArn);
+                const traceContext = obs.extractIncomingTraceContext(record);
+
+                await obs.withConsumerSpan(`${topicName} process`, {
+                    'messaging.system': 'aws_sns',
+                    'messaging.operation.type': 'process',
+                    'messaging.operation.name': 'process',
+                    'messaging.destination.name': topicName,
+                    'messaging.message.id': sns.MessageId
+                }, traceContext, async (span) => {
+                    const logger = obs.child({ messageId: sns.MessageId, topicArn: sns.TopicArn }, { span: span, bufferScope: true });
+
+                    try {
+                        const messageData = this.parseMessage(sns.Message);
+
+                        logger.log('INFO', 'sns_message_processing_started', {
+                            subject: sns.Subject,
+                            traceSource: traceContext?.source
+                        });
+
+                        const result = await logger.monitor('business_logic', async () => {
+                            return await businessLogic(messageData, {
+                                record: record,
+                                topicArn: sns.TopicArn,
+                                subject: sns.Subject,
+                                messageAttributes: this.getMessageAttributes(sns.MessageAttributes),
+                                messageId: sns.MessageId,
+                                traceContext: traceContext,
+                                logger: logger
+                            });
+                        });
+
+                        results.push({ messageId: sns.MessageId, status: 'success', result: result });
+
+                    } catch (error) {
+                        logger.handleError(error, {
+                            operation: 'sns_message_processing'
+                        });
+
+                        errors.push(error);
+                        results.push({ messageId: sns.MessageId, status: 'error', error: error.message });
+                    }
+                });
+            }
+
+            if (errors.length > 0) {
+                const error = errors.length === 1 ? errors[0] : new Error(`${errors.length} of ${results.length} SNS messages failed`);
+                obs.handleError(error, { errorCount: errors.length });
+                throw error;
+            }
+
+            obs.complete({
+                processedCount: results.length,
+                successCount: results.length
+            });
+
+            return results.length === 1 ? results[0].result : results.map(r => r.result);
+        });
+    }
+
+    parseMessage(message) {
+        // Non-JSON messages are handed over as plain strings
+        try {
+            return JSON.parse(message);
+        } catch (error) {
+            return message;
+        }
+    }
+
+    /**
+     * Flatten SNS { Type, Value } attributes into plain values
+     */
+    getMessageAttributes(messageAttributes = {}) {
+        return Object.fromEntries(
+            Object.entries(messageAttributes).map(([name, attribute]) => [
+                name,
+                attribute.Type === 'Number' ? Number(attribute.Value) : attribute.Value
+            ])
+        );
+    }
+
+    getTopicName(topicArn) {
+        return topicArn?.split(':').pop() || 'unknown';
+    }
+}
+
+/**
+ * SNS Publisher - Handles SNS publishing with observability
+ */
+export class SNSPublisher {
+    /**
+     * options.xrayCompatibleTraceIds - make generated root trace IDs X-Ray compatible
+     */
+    constructor(serviceName, snsClient, options = {}) {
+        this.serviceName = serviceName;
+        this.sns = snsClient;
+        this.xrayCompatibleTraceIds = options.xrayCompatibleTraceIds || false;
+    }
+
+    /**
+     * Publish message with automatic trace propagation
+     */
+    async publish(topicArn, message, options = {}) {
+        const obs = getObservability() || new ObservabilityManager(this.serviceName);
+
+        return await obs.monitor('sns_publish', async () => {
+            // Add observability context
+            obs.addBusinessContext({
+                topicArn: topicArn,
+                messageSize: JSON.stringify(message).length
+            });
+
+            const { PublishCommand } = await import("@aws-sdk/client-sns");
+
+            // One context (parented to the sns_publish span) for every carrier field and log line
+            const { propagationContext, traceContext } = obs.resolvePropagationContext(
+                { topicArn: topicArn },
+                { xrayCompatible: this.xrayCompatibleTraceIds }
+            );
+
+            // Build message attributes with trace propagation
+            const messageAttributes = injectMessageAttributes(propagationContext, traceContext, options.messageAttributes);
+
+            // SNS may rewrite traceparent, so keep an untouched copy for the consumer
+            messageAttributes.w3c_traceparent_orig = { ...messageAttributes.traceparent };
+            
+            const metricAttributes = this.getMetricAttributes(topicArn);
+            const startTime = Date.now();
+            let result;
+
+            try {
+                result = await this.sns.send(new PublishCommand({
+                    TopicArn: topicArn,
+                    Message: JSON.stringify(message),
+                    MessageAttributes: messageAttributes,
+                    ...options.publishOptions
+                }));
+            } catch (error) {
+                obs.recordPublished(metricAttributes, 0, [{ code: error.name }]);
+                throw error;
+            }
+
+            obs.recordPublished(metricAttributes, 1);
+
+            obs.emfMetric('PublishLatency', Date.now() - startTime, 'Milliseconds', {
+                operation: 'sns_publish',
+                topic: topicArn.split(':').pop()
+            });
+
+            obs.log('INFO', 'message_published', {
+                messageId: result.MessageId,
+                topicArn: topicArn,
+                traceId: traceContext.traceId
+            });
+
+            return result;
+        });
+    }
+
+    /**
+     * Publish many messages through SNS PublishBatch, chunked into groups of 10
+     * options: messageAttributes, subject, messageGroupId, messageDeduplicationId (values or
+     * functions of (message, index)), maxRetries (default 2), retryDelayMs (default 100).
+     * Only failed entries that were not the sender's fault are retried.
+     */
+    async publishBatch(topicArn, messages, options = {}) {
+        const obs = getObservability() || new ObservabilityManager(this.serviceName);
+
+        return await obs.monitor('sns_publish_batch', async () => {
+            obs.addBusinessContext({
+                topicArn: topicArn,
+                messageCount: messages.length
+            });
+
+            const { PublishBatchCommand } = await import("@aws-sdk/client-sns");
+
+            const { propagationContext, traceContext } = obs.resolvePropagationContext(
+                { topicArn: topicArn },
+                { xrayCompatible: this.xrayCompatibleTraceIds }
+            );
+
+            // Build (and validate) every entry first, so an invalid message can't fail the batch half-published
+            const entries = messages.map((message, index) => ({
+                Id: `msg-${index}`,
+                ...this.buildEntry(topicArn, message, index, options, propagationContext, traceContext)
+            }));
+
+            const report = await sendInChunks(entries, async (chunk) => {
+                const startTime = Date.now();
+                const result = await this.sns.send(new PublishBatchCommand({
+                    TopicArn: topicArn,
+                    PublishBatchRequestEntries: chunk
+                }));
+
+                obs.emfMetric('PublishLatency', Date.now() - startTime, 'Milliseconds', {
+                    operation: 'sns_publish_batch',
+                    topic: topicArn.split(':').pop()
+                });
+
+                return batchResultsByPosition(chunk, result);
+            }, {
+                entryFields: entry => ({ id: entry.Id }),
+                maxRetries: options.maxRetries ?? 2,
+                retryDelayMs: options.retryDelayMs,
+                onRetry: (attempt, retryCount) => obs.log('DEBUG', 'sns_batch_retry', {
+                    topicArn: topicArn,
+                    attempt: attempt,
+                    retryCount: retryCount
+                })
+            });
+
+            report.successCount = report.successful.length;
+            report.failureCount = report.failed.length;
+
+            obs.recordPublished(this.getMetricAttributes(topicArn), report.successCount, report.failed);
+
+            if (report.failureCount > 0) {
+                obs.log('WARN', 'sns_batch_partial_failure', {
+                    topicArn: topicArn,
+                    traceId: traceContext.traceId,
+                    failureCount: report.failureCount,
+                    failures: report.failed.map(({ id, code, message }) => ({ id, code, message }))
+                });
+            }
+
+            obs.log('INFO', 'message_batch_published', {
+                topicArn: topicArn,
+                traceId: traceContext.traceId,
+                spanId: traceContext.spanId,
+                messageCount: messages.length,
+                successCount: report.successCount,
+                failureCount: report.failureCount,
+                retriedCount: report.retriedCount
+            });
+
+            return report;
+        });
+    }
+
+    buildEntry(topicArn, message, index, options, propagationContext, traceContext) {
+        const messageGroupId = resolveMessageOption(options.messageGroupId, message, index);
+        const messageDeduplicationId = resolveMessageOption(options.messageDeduplicationId, message, index);
+        const subject = resolveMessageOption(options.subject, message, index);
+
+        if (this.isFifoTopic(topicArn) && !messageGroupId) {
+            throw new Error(`messageGroupId is required for FIFO topic ${topicArn}`);
+        }
+
+        const messageAttributes = injectMessageAttributes(propagationContext, traceContext, options.messageAttributes);
+        messageAttributes.w3c_traceparent_orig = { ...messageAttributes.traceparent };
+
+        return {
+            Message: JSON.stringify(message),
+            MessageAttributes: messageAttributes,
+            ...(subject && { Subject: subject }),
+            ...(messageGroupId && { MessageGroupId: messageGroupId }),
+            ...(messageDeduplicationId && { MessageDeduplicationId: messageDeduplicationId })
+        };
+    }
+
+    getMetricAttributes(topicArn) {
+        return {
+            'messaging.system': 'aws_sns',
+            'messaging.operation.name': 'publish',
+            'messaging.destination.name': topicArn.split(':').pop()
+        };
+    }
+
+    isFifoTopic(topicArn) {
+        return topicArn?.endsWith('.fifo');
+    }
+}
+
+/**
+ * SQS Sender - Sends directly to SQS queues with observability
+ */
+export class SQSSender {
+    /**
+     * options.xrayCompatibleTraceIds - make generated root trace IDs X-Ray compatible
+     */
+    constructor(serviceName, sqsClient, options = {}) {
+        this.serviceName = serviceName;
+        this.sqs = sqsClient;
+        this.xrayCompatibleTraceIds = options.xrayCompatibleTraceIds || false;
+    }
+
+    /**
+     * Send one message with automatic trace propagation
+     * options: messageAttributes, delaySeconds, messageGroupId, messageDeduplicationId, sendOptions
+     */
+    async send(queueUrl, message, options = {}) {
+        const obs = getObservability() || new ObservabilityManager(this.serviceName);
+
+        return await obs.monitor('sqs_send', async () => {
+            obs.addBusinessContext({
+                queueUrl: queueUrl,
+                messageSize: JSON.stringify(message).length
+            });
+
+            const { SendMessageCommand } = await import("@aws-sdk/client-sqs");
+
+            const { propagationContext, traceContext } = obs.resolvePropagationContext(
+                { queueUrl: queueUrl },
+                { xrayCompatible: this.xrayCompatibleTraceIds }
+            );
+
+            const metricAttributes = this.getMetricAttributes(queueUrl);
+            let result;
+
+            try {
+                result = await this.sqs.send(new SendMessageCommand({
+                    QueueUrl: queueUrl,
+                    ...this.buildEntry(queueUrl, message, 0, options, propagationContext, traceContext),
+                    ...options.sendOptions
+                }));
+            } catch (error) {
+                obs.recordPublished(metricAttributes, 0, [{ code: error.name }]);
+                throw error;
+            }
+
+            obs.recordPublished(metricAttributes, 1);
+
+            obs.log('INFO', 'message_sent', {
+                messageId: result.MessageId,
+                queueUrl: queueUrl,
+                traceId: traceContext.traceId
+            });
+
+            return result;
+        });
+    }
+
+    /**
+     * Send many messages through SendMessageBatch, chunked into groups of 10
+     * Options apply to every entry; messageGroupId, messageDeduplicationId and delaySeconds
+     * may also be functions of (message, index). Returns a per-entry success/failure report.
+     */
+    async sendBatch(queueUrl, messages, options = {}) {
+        const obs = getObservability() || new ObservabilityManager(this.serviceName);
+
+        return await obs.monitor('sqs_send_batch', async () => {
+            obs.addBusinessContext({
+                queueUrl: queueUrl,
+                messageCount: messages.length
+            });
+
+            const { SendMessageBatchCommand } = await import("@aws-sdk/client-sqs");
+
+            const { propagationContext, traceContext } = obs.resolvePropagationContext(
+                { queueUrl: queueUrl },
+                { xrayCompatible: this.xrayCompatibleTraceIds }
+            );
+
+            // Build (and validate) every entry first, so an invalid message can't fail the batch half-sent
+            const entries = messages.map((message, index) => ({
+                Id: `msg-${index}`,
+                ...this.buildEntry(queueUrl, message, index, options, propagationContext, traceContext)
+            }));
+
+            const { successful, failed } = await sendInChunks(entries, async (chunk) => {
+                const result = await this.sqs.send(new SendMessageBatchCommand({
+                    QueueUrl: queueUrl,
+                    Entries: chunk,
+                    ...options.sendOptions
+                }));
+
+                return batchResultsByPosition(chunk, result);
+            }, { entryFields: entry => ({ id: entry.Id }) });
+
+            const report = { successful, failed };
+
+            report.successCount = report.successful.length;
+            report.failureCount = report.failed.length;
+
+            obs.recordPublished(this.getMetricAttributes(queueUrl), report.successCount, report.failed);
+
+            if (report.failureCount > 0) {
+                obs.log('WARN', 'sqs_batch_partial_failure', {
+                    queueUrl: queueUrl,
+                    traceId: traceContext.traceId,
+                    failureCount: report.failureCount,
+                    failures: report.failed.map(({ id, code, message }) => ({ id, code, message }))
+                });
+            }
+
+            obs.log('INFO', 'message_batch_sent', {
+                queueUrl: queueUrl,
+                traceId: traceContext.traceId,
+                messageCount: messages.length,
+                successCount: report.successCount,
+                failureCount: report.failureCount
+            });
+
+            return report;
+        });
+    }
+
+    buildEntry(queueUrl, message, index, options, propagationContext, traceContext) {
+        const messageGroupId = resolveMessageOption(options.messageGroupId, message, index);
+        const messageDeduplicationId = resolveMessageOption(options.messageDeduplicationId, message, index);
+        const delaySeconds = resolveMessageOption(options.delaySeconds, message, index);
+
+        if (this.isFifoQueue(queueUrl) && !messageGroupId) {
+            throw new Error(`messageGroupId is required for FIFO queue ${queueUrl}`);
+        }
+
+        // SQS rejects per-message delays on FIFO queues; only the queue's own delay applies
+        if (this.isFifoQueue(queueUrl) && delaySeconds !== undefined) {
+            throw new Error(`delaySeconds is not supported for FIFO queue ${queueUrl}`);
+        }
+
+        return {
+            MessageBody: JSON.stringify(message),
+            MessageAttributes: injectMessageAttributes(propagationContext, traceContext, options.messageAttributes),
+            ...(delaySeconds !== undefined && { DelaySeconds: delaySeconds }),
+            ...(messageGroupId && { MessageGroupId: messageGroupId }),
+            ...(messageDeduplicationId && { MessageDeduplicationId: messageDeduplicationId })
+        };
+    }
+
+    getMetricAttributes(queueUrl) {
+        return {
+            'messaging.system': 'aws_sqs',
+            'messaging.operation.name': 'send',
+            'messaging.destination.name': queueUrl.split('/').pop()
+        };
+    }
+
+    isFifoQueue(queueUrl) {
+        return queueUrl?.endsWith('.fifo');
+    }
+}
+
+/**
+ * EventBridge Publisher - Puts events with observability
+ * Trace context travels in the X-Ray TraceHeader and/or a reserved field in `detail`
+ */
+export class EventBridgePublisher {
+    /**
+     * options.source, options.eventBusName - defaults for every event
+     * options.traceCarrier - 'both' (default), 'traceHeader' or 'detail'
+     * options.xrayCompatibleTraceIds - make generated root trace IDs X-Ray compatible
+     */
+    constructor(serviceName, eventBridgeClient, options = {}) {
+        this.serviceName = serviceName;
+        this.eventBridge = eventBridgeClient;
+        this.source = options.source || serviceName;
+        this.eventBusName = options.eventBusName;
+        this.traceCarrier = options.traceCarrier || 'both';
+        this.xrayCompatibleTraceIds = options.xrayCompatibleTraceIds || false;
+    }
+
+    /**
+     * Put a single event
+     */
+    async publish(detailType, detail, options = {}) {
+        const report = await this.putEvents([{ detailType, detail, ...options }]);
+
+        if (report.failureCount > 0) {
+            const [failure] = report.failed;
+            throw new Error(`Failed to put event: ${failure.code} ${failure.message}`);
+        }
+
+        return report.successful[0];
+    }
+
+    /**
+     * Put events through PutEvents, chunked into groups of 10
+     * Each event: { detailType, detail, source?, eventBusName?, resources?, time? }
+     * Returns a per-entry success/failure report
+     */
+    async putEvents(events) {
+        const obs = getObservability() || new ObservabilityManager(this.serviceName);
+
+        return await obs.monitor('eventbridge_put_events', async () => {
+            obs.addBusinessContext({
+                eventBusName: this.eventBusName || 'default',
+                eventCount: events.length
+            });
+
+            const { PutEventsCommand } = await import("@aws-sdk/client-eventbridge");
+
+            const { propagationContext, traceContext } = obs.resolvePropagationContext(
+                { eventBusName: this.eventBusName || 'default' },
+                { xrayCompatible: this.xrayCompatibleTraceIds }
+            );
+
+            // Build every entry first, so an event that can't be serialized can't fail the batch half-sent
+            const entries = events.map(event => this.buildEntry(event, propagationContext, traceContext));
+
+            const { successful, failed } = await sendInChunks(entries, async (chunk) => {
+                const result = await this.eventBridge.send(new PutEventsCommand({ Entries: chunk }));
+                const results = { successful: [], failed: [] };
+
+                // PutEvents results are positional
+                (result.Entries || []).forEach((entry, position) => {
+                    if (entry.ErrorCode) {
+                        results.failed.push({ position: position, code: entry.ErrorCode, message: entry.ErrorMessage });
+                    } else {
+                        results.successful.push({ position: position, eventId: entry.EventId });
+                    }
+                });
+
+                return results;
+            });
+
+            const report = { successful, failed };
+
+            report.successCount = report.successful.length;
+            report.failureCount = report.failed.length;
+
+            obs.recordPublished({
+                'messaging.system': 'aws_eventbridge',
+                'messaging.operation.name': 'publish',
+                'messaging.destination.name': this.eventBusName || 'default'
+            }, report.successCount, report.failed);
+
+            if (report.failureCount > 0) {
+                obs.log('WARN', 'eventbridge_put_partial_failure', {
+                    eventBusName: this.eventBusName || 'default',
+                    traceId: traceContext.traceId,
+                    failureCount: report.failureCount,
+                    failures: report.failed
+                });
+            }
+
+            obs.log('INFO', 'events_published', {
+                eventBusName: this.eventBusName || 'default',
+                traceId: traceContext.traceId,
+                eventCount: events.length,
+                successCount: report.successCount,
+                failureCount: report.failureCount
+            });
+
+            return report;
+        });
+    }
+
+    buildEntry(event, propagationContext, traceContext) {
+        let detail = event.detail || {};
+
+        if (this.traceCarrier !== 'traceHeader') {
+            const carrier = {};
+            propagation.inject(propagationContext, carrier);
+            if (!carrier.traceparent) carrier.traceparent = traceContext.traceparent;
+
+            detail = { ...detail, [EVENTBRIDGE_TRACE_FIELD]: carrier };
+        }
+
+        const traceHeader = this.traceCarrier !== 'detail'
+            ? (traceContext.xrayTraceHeader || traceparentToXRay(traceContext.traceparent, { lineage: traceContext.lineage }))
+            : null;
+
+        return {
+            Source: event.source || this.source,
+            DetailType: event.detailType,
+            Detail: JSON.stringify(detail),
+            ...((event.eventBusName || this.eventBusName) && { EventBusName: event.eventBusName || this.eventBusName }),
+            ...(event.resources && { Resources: event.resources }),
+            ...(event.time && { Time: event.time }),
+            ...(traceHeader && { TraceHeader: traceHeader })
+        };
+    }
+}
+
+/**
+ * EventBridge Handler - Handles EventBridge events with observability
+ */
+export class EventBridgeHandler {
+    constructor(serviceName) {
+        this.serviceName = serviceName;
+    }
+
+    /**
+     * Handle an EventBridge event inside a consumer span linked to the publisher's trace
+     * Business logic receives the detail (without the reserved trace field)
+     */
+    async handle(event, context, businessLogic) {
+        const obs = new ObservabilityManager(this.serviceName).init(event, context);
+
+        return await runInvocation(obs, async () => {
+            const traceContext = obs.extractIncomingTraceContext(event);
+            const detailType = event['detail-type'];
+            const { [EVENTBRIDGE_TRACE_FIELD]: _traceCarrier, ...detail } = event.detail || {};
+
+            try {
+                const result = await obs.withConsumerSpan(`${detailType} process`, {
+                    'messaging.system': 'aws_eventbridge',
+                    'messaging.operation.type': 'process',
+                    'messaging.operation.name': 'process',
+                    'messaging.destination.name': event.source,
+                    'messaging.message.id': event.id,
+                    'aws.eventbridge.detail_type': detailType
+                }, traceContext, async (span) => {
+                    const logger = obs.child({ eventId: event.id, source: event.source, detailType: detailType }, { span: span, bufferScope: true });
+
+                    logger.log('INFO', 'event_processing_started', {
+                        traceSource: traceContext?.source
+                    });
+
+                    return await logger.monitor('business_logic', async () => {
+                        return await businessLogic(detail, {
+                            event: event,
+                            source: event.source,
+                            detailType: detailType,
+                            detail: detail,
+                            traceContext: traceContext,
+                            logger: logger,
+                            context: context
+                        });
+                    });
+                });
+
+                obs.complete({
+                    eventId: event.id,
+                    detailType: detailType
+                });
+
+                return result;
+
+            } catch (error) {
+                obs.handleError(error, {
+                    eventId: event.id,
+                    source: event.source,
+                    detailType: detailType
+                });
+
+                throw error;
+            }
+        });
+    }
+}
+
+/**
+ * HTTP errors - throw these from APIHandler business logic to answer with a specific status
+ * options: { type, details (extra problem+json members), headers, cause }
+ */
+export class HttpError extends Error {
+    constructor(statusCode, message, options = {}) {
+        super(message || STATUS_CODES[statusCode], options.cause ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.type = options.type;
+        this.details = options.details;
+        this.headers = options.headers;
+    }
+}
+
+export class BadRequestError extends HttpError {
+    constructor(message, options) { super(400, message, options); }
+}
+
+export class UnauthorizedError extends HttpError {
+    constructor(message, options) { super(401, message, options); }
+}
+
+export class ForbiddenError extends HttpError {
+    constructor(message, options) { super(403, message, options); }
+}
+
+export class NotFoundError extends HttpError {
+    constructor(message, options) { super(404, message, options); }
+}
+
+export class MethodNotAllowedError extends HttpError {
+    constructor(message, options) { super(405, message, options); }
+}
+
+export class ConflictError extends HttpError {
+    constructor(message, options) { super(409, message, options); }
+}
+
+export class UnprocessableEntityError extends HttpError {
+    constructor(message, options) { super(422, message, options); }
+}
+
+export class TooManyRequestsError extends HttpError {
+    constructor(message, options) { super(429, message, options); }
+}
+
+export class InternalServerError extends HttpError {
+    constructor(message, options) { super(500, message, options); }
+}
+
+export class ServiceUnavailableError extends HttpError {
+    constructor(message, options) { super(503, message, options); }
+}
+
+/**
+ * Route parameter coercions; each returns undefined for a value it cannot convert
+ */
+const PARAM_TYPES = {
+    string: (value) => value,
+    number: (value) => (value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined),
+    integer: (value) => (/^-?\d+$/.test(value) ? Number(value) : undefined),
+    boolean: (value) => (value === 'true' ? true : value === 'false' ? false : undefined)
+};
+
+/**
+ * Compile a "METHOD /path/{param}" route definition; `{name+}` matches the rest of the path
+ */
+function compileRoute(definition) {
+    const [method, template] = definition.trim().split(/\s+/);
+    if (!template || !template.startsWith('/')) {
+        throw new Error(`Invalid route definition: ${definition}`);
+    }
 
-            if (this.currentSpan) {
-                this.currentSpan.setAttributes({
-                    [`operation.${operationName}.duration`]: duration,
-                    [`operation.${operationName}.success`]: true
-                });
-            }
+    const paramNames = [];
+    const source = template.replace(/\/+$/, '').split('/').map(segment => {
+        const param = segment.match(/^\{(\w+)(\+)?\}$/);
+        if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-            this.log('INFO', `${operationName}_completed`, {
-                duration: duration,
-                success: true,
-                ...context
-            });
+        paramNames.push(param[1]);
+        return param[2] ? '(.+)' : '([^/]+)';
+    }).join('/');
 
-            return result;
+    return {
+        method: method.toUpperCase(),
+        template: template,
+        paramNames: paramNames,
+        pattern: new RegExp(`^${source}/?$`)
+    };
+}
 
-        } catch (error) {
-            const duration = Date.now() - startTime;
+/**
+ * Convert raw path or query values to the types declared on a route
+ */
+function coerceParams(values, types = {}, location) {
+    const result = { ...values };
 
-            if (this.currentSpan) {
-                this.currentSpan.setAttributes({
-                    [`operation.${operationName}.duration`]: duration,
-                    [`operation.${operationName}.success`]: false,
-                    [`operation.${operationName}.error`]: error.message
-                });
-            }
+    for (const [name, type] of Object.entries(types)) {
+        if (result[name] === undefined) continue;
 
-            this.log('ERROR', `${operationName}_failed`, {
-                duration: duration,
-                error: error.message,
-                ...context
+        const coerce = typeof type === 'function' ? type : PARAM_TYPES[type];
+        const value = coerce(result[name]);
+        if (value === undefined) {
+            throw new BadRequestError(`Invalid ${location} parameter "${name}"`, {
+                details: { parameter: name, value: result[name] }
             });
-
-            throw error;
         }
+        result[name] = value;
     }
 
-    /**
-     * Get current trace context for propagation
-     */
-    getTraceContext() {
-        if (!this.currentSpan) return null;
+    return result;
+}
 
-        const sc = this.currentSpan.spanContext();
-        const flags = (sc.traceFlags & 0x01) ? "01" : "00";
-        
-        return {
-            traceId: sc.traceId,
-            spanId: sc.spanId,
-            traceparent: `00-${sc.traceId}-${sc.spanId}-${flags}`
-        };
+function decodePathSegment(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
     }
+}
 
+/**
+ * API Handler - Handles HTTP requests with observability
+ * Supports API Gateway REST (v1), HTTP API (v2), ALB and Lambda Function URL events
+ */
+export class APIHandler {
     /**
-     * Extract trace context from incoming events (SQS, SNS, etc.)
+     * options.errorMapper - (error, { request, requestId, traceId }) => { status, title, detail, type, headers, ...extensions }
+     *                       Return nothing to fall back to the default mapping of HttpError classes
+     * options.debug - include stack traces in error responses (default: OBSERVABILITY_DEBUG=true)
+     * options.routes - { 'GET /users/{userId}': handler }, same as calling route() for each entry
      */
-    extractIncomingTraceContext(record) {
-        // Handle SQS records
-        if (record.messageAttributes) {
-            const traceparent = record.messageAttributes.traceparent?.stringValue ||
-                               record.messageAttributes.w3c_traceparent_orig?.stringValue;
-            
-            if (traceparent) {
-                const parts = traceparent.split('-');
-                return {
-                    traceId: parts[1],
-                    spanId: parts[2],
-                    traceparent: traceparent
-                };
-            }
-        }
+    constructor(serviceName, options = {}) {
+        this.serviceName = serviceName;
+        this.errorMapper = options.errorMapper;
+        this.debug = options.debug ?? process.env.OBSERVABILITY_DEBUG === 'true';
+        this.routes = [];
 
-        // Handle API Gateway events
-        if (record.headers && record.headers.traceparent) {
-            const parts = record.headers.traceparent.split('-');
-            return {
-                traceId: parts[1],
-                spanId: parts[2],
-                traceparent: record.headers.traceparent
-            };
+        for (const [definition, handler] of Object.entries(options.routes || {})) {
+            this.route(definition, handler);
         }
-
-        return null;
     }
 
     /**
-     * Detect event type for automatic instrumentation
+     * Register a route such as "GET /users/{userId}" (method ANY matches every method)
+     * options: { name (monitor name), params: { userId: 'integer' }, query: { limit: 'number' } }
+     * Types are string, number, integer, boolean or a function returning undefined for bad input
      */
-    detectEventType(event) {
-        if (event.Records) {
-            if (event.Records[0]?.eventSource === 'aws:sqs') return 'SQS';
-            if (event.Records[0]?.EventSource === 'aws:sns') return 'SNS';
-            if (event.Records[0]?.eventSource === 'aws:s3') return 'S3';
-            if (event.Records[0]?.eventSource === 'aws:dynamodb') return 'DynamoDB';
+    route(definition, handler, options = {}) {
+        const route = compileRoute(definition);
+
+        for (const type of [...Object.values(options.params || {}), ...Object.values(options.query || {})]) {
+            if (typeof type !== 'function' && !PARAM_TYPES[type]) {
+                throw new Error(`Unknown parameter type "${type}" in route ${definition}`);
+            }
         }
-        
-        if (event.httpMethod || event.requestContext) return 'API_GATEWAY';
-        if (event.source && event['detail-type']) return 'EVENTBRIDGE';
-        
-        return 'DIRECT_INVOKE';
-    }
 
-    /**
-     * Complete the observability session
-     */
-    complete(result = {}) {
-        this.log('INFO', 'function_completed', {
-            success: true,
-            ...result
+        this.routes.push({
+            ...route,
+            handler: handler,
+            params: options.params,
+            query: options.query,
+            name: options.name || `${route.method} ${route.template}`.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
         });
 
-        if (this.currentSpan) {
-            this.currentSpan.setStatus({ code: 1 }); // OK
-        }
-
         return this;
     }
-}
-
-/**
- * SQS Message Processor - Handles SQS batch processing with observability
- */
-export class SQSProcessor {
-    constructor(serviceName) {
-        this.serviceName = serviceName;
-    }
 
     /**
-     * Process SQS batch with automatic observability
-     * Developer only provides business logic function
+     * Handle an HTTP request with observability
+     * Business logic receives the raw event plus a normalized `request`;
+     * its result is shaped into the response format of the event source.
+     * Without businessLogic the request is dispatched to the registered routes
      */
-    async processBatch(event, context, businessLogic) {
+    async handle(event, context, businessLogic) {
         const obs = new ObservabilityManager(this.serviceName).init(event, context);
-        
-        obs.log('INFO', 'sqs_batch_processing_started', {
-            recordCount: event.Records?.length || 0
-        });
+        return await runInvocation(obs, async () => {
+            const request = this.normalizeRequest(event, obs.detectEventType(event));
+            let mapped;
 
-        const results = [];
-        const failures = [];
-
-        for (const record of event.Records || []) {
             try {
-                // Extract trace context
-                const traceContext = obs.extractIncomingTraceContext(record);
-                
-                // Parse message (handle SNS->SQS wrapping)
-                const messageData = this.parseMessage(record);
-                
-                // Add SQS context to observability
-                obs.addBusinessContext({
-                    messageId: record.messageId,
-                    receiptHandle: record.receiptHandle,
-                    queueName: this.getQueueName(record.eventSourceARN)
+                // Add HTTP server semantic-convention attributes
+                this.setSpanAttributes(obs, {
+                    'http.request.method': request.method,
+                    'http.route': request.route,
+                    'url.path': request.path,
+                    'client.address': request.sourceIp,
+                    'user_agent.original': request.userAgent
                 });
 
-                // Log message processing start
-                obs.log('INFO', 'message_processing_started', {
-                    messageId: record.messageId,
-                    traceId: traceContext?.traceId,
-                    messageSize: JSON.stringify(messageData).length
-                });
+                // Extract trace context from headers
+                const traceContext = obs.extractIncomingTraceContext(event);
 
-                // Call business logic with observability wrapper
-                const result = await obs.monitor('business_logic', async () => {
-                    return await businessLogic(messageData, {
-                        record: record,
-                        traceContext: traceContext,
-                        logger: obs,
-                        messageId: record.messageId
-                    });
-                }, {
-                    messageId: record.messageId,
+                obs.log('INFO', 'api_request_started', {
+                    httpMethod: request.method,
+                    path: request.path,
+                    eventSource: request.source,
                     traceId: traceContext?.traceId
                 });
 
-                results.push({
-                    messageId: record.messageId,
-                    status: 'success',
-                    result: result
-                });
+                // Map a failure once, inside the monitor, so errors the mapper turns into 4xx count as client errors
+                const monitorOptions = {
+                    isClientError: (error) => {
+                        mapped = { error: error, problem: this.mapProblem(obs, error, request, context) };
+                        return mapped.problem.status < 500;
+                    }
+                };
 
-                obs.log('INFO', 'message_processed_successfully', {
-                    messageId: record.messageId,
-                    traceId: traceContext?.traceId
+                // Call business logic
+                const result = businessLogic
+                    ? await obs.monitor('api_business_logic', async () => {
+                        return await businessLogic(event, {
+                            context: context,
+                            request: request,
+                            traceContext: traceContext,
+                            logger: obs
+                        });
+                    }, {}, monitorOptions)
+                    : await this.dispatch(obs, event, context, request, traceContext, monitorOptions);
+
+                const response = this.respond(obs, result, request, context);
+
+                obs.complete({
+                    statusCode: response.statusCode,
+                    responseSize: JSON.stringify(response).length
                 });
 
+                return response;
+
             } catch (error) {
-                obs.handleError(error, {
-                    messageId: record.messageId,
-                    operation: 'message_processing'
-                });
+                const problem = mapped?.error === error ? mapped.problem : undefined;
+                return this.respondWithError(obs, error, request, context, problem);
+            }
+        });
+    }
 
-                failures.push({
-                    itemIdentifier: record.messageId
-                });
+    /**
+     * Run the handler of the matching route inside a monitor named after the route
+     */
+    async dispatch(obs, event, context, request, traceContext, monitorOptions) {
+        const { route, params } = this.matchRoute(request);
+
+        this.setSpanAttributes(obs, { 'http.route': route.template });
+
+        const pathParams = coerceParams(params, route.params, 'path');
+        const query = coerceParams(request.query, route.query, 'query');
+
+        return await obs.monitor(route.name, async () => {
+            return await route.handler(event, {
+                context: context,
+                request: request,
+                route: route.template,
+                params: pathParams,
+                query: query,
+                traceContext: traceContext,
+                logger: obs
+            });
+        }, { route: route.template }, monitorOptions);
+    }
 
-                results.push({
-                    messageId: record.messageId,
-                    status: 'error',
-                    error: error.message
-                });
+    /**
+     * Find the first registered route for the request
+     * Non-proxy integrations are matched on the resource API Gateway already resolved,
+     * everything else on the request path. Throws 404, or 405 with an Allow header
+     */
+    matchRoute(request) {
+        const allowed = new Set();
+
+        for (const route of this.routes) {
+            let params;
+
+            if (request.source === 'API_GATEWAY' && request.route === route.template) {
+                params = request.pathParameters;
+            } else {
+                const match = route.pattern.exec(request.path || '');
+                if (!match) continue;
+
+                params = Object.fromEntries(
+                    route.paramNames.map((name, index) => [name, decodePathSegment(match[index + 1])])
+                );
+            }
+
+            if (route.method === 'ANY' || route.method === request.method) {
+                return { route, params };
             }
+            allowed.add(route.method);
+        }
+
+        if (allowed.size === 0) {
+            throw new NotFoundError(`No route matches ${request.method} ${request.path}`);
+        }
+
+        throw new MethodNotAllowedError(`${request.method} is not allowed on ${request.path}`, {
+            headers: { allow: [...allowed].join(', ') }
+        });
+    }
+
+    /**
+     * Turn a thrown error into an RFC 7807 problem+json response
+     * Client errors are logged at WARN and leave the span status alone.
+     * problem is the error's mapping when it was already made
+     */
+    respondWithError(obs, error, request, context, problem = this.mapProblem(obs, error, request, context)) {
+        const requestId = context.awsRequestId;
+        const traceId = obs.getTraceContext()?.traceId;
+        const { status, title, detail, type, headers, ...extensions } = problem;
+
+        if (status < 500) {
+            obs.log('WARN', 'client_error', {
+                status: status,
+                error: error.message,
+                errorType: error.name,
+                httpMethod: request.method,
+                path: request.path
+            });
+        } else {
+            obs.handleError(error, {
+                status: status,
+                httpMethod: request.method,
+                path: request.path
+            });
         }
 
+        const response = this.respond(obs, {
+            statusCode: status,
+            headers: { 'content-type': 'application/problem+json', ...headers },
+            body: {
+                // Extension members come first so they can never replace a standard member
+                ...extensions,
+                type: type || 'about:blank',
+                title: title || STATUS_CODES[status] || 'Error',
+                status: status,
+                ...(detail && { detail: detail }),
+                instance: extensions.instance || request.path,
+                requestId: requestId,
+                traceId: traceId,
+                ...(this.debug && { stack: error.stack })
+            }
+        }, request, context);
+
         obs.complete({
-            processedCount: results.length,
-            successCount: results.filter(r => r.status === 'success').length,
-            errorCount: results.filter(r => r.status === 'error').length
+            success: status < 500,
+            statusCode: status
         });
 
-        // Return SQS batch failure format
-        return {
-            batchItemFailures: failures
-        };
+        return response;
     }
 
-    parseMessage(record) {
+    /**
+     * Map an error through errorMapper, falling back to mapError when it has no answer or throws
+     * The result always has a status
+     */
+    mapProblem(obs, error, request, context) {
+        let mapped;
         try {
-            const body = JSON.parse(record.body);
-            
-            // Handle SNS->SQS wrapping
-            if (body.Type === "Notification" && body.Message) {
-                return JSON.parse(body.Message);
-            }
-            
-            return body;
-        } catch (error) {
-            throw new Error(`Failed to parse message: ${error.message}`);
+            mapped = this.errorMapper?.(error, {
+                request: request,
+                requestId: context.awsRequestId,
+                traceId: obs.getTraceContext()?.traceId
+            });
+        } catch (mapperError) {
+            // A broken mapper must not cost the caller their HTTP response
+            obs.log('ERROR', 'error_mapper_failed', {
+                error: mapperError.message,
+                errorType: mapperError.name
+            });
         }
-    }
 
-    getQueueName(eventSourceARN) {
-        return eventSourceARN?.split(':').pop() || 'unknown';
+        const problem = mapped || this.mapError(error);
+        return { ...problem, status: problem.status ?? 500 };
     }
-}
 
-/**
- * SNS Publisher - Handles SNS publishing with observability
- */
-export class SNSPublisher {
-    constructor(serviceName, snsClient) {
-        this.serviceName = serviceName;
-        this.sns = snsClient;
+    /**
+     * Default mapping: HttpError subclasses keep their status and message,
+     * anything else is a 500 whose message is only shown in debug mode
+     */
+    mapError(error) {
+        if (error instanceof HttpError) {
+            // details are extension members; status, type, detail and headers always come from the error
+            return {
+                ...error.details,
+                status: error.statusCode,
+                type: error.type,
+                detail: error.message,
+                headers: error.headers
+            };
+        }
+
+        return {
+            status: 500,
+            detail: this.debug ? error.message : undefined
+        };
     }
 
     /**
-     * Publish message with automatic trace propagation
+     * Record the response on the span, add correlation headers and shape it for the event source
+     * Only 5xx responses mark the server span as errored
      */
-    async publish(topicArn, message, options = {}) {
-        const obs = new ObservabilityManager(this.serviceName);
-        const traceContext = obs.getTraceContext();
+    respond(obs, result, request, context) {
+        // A result without a statusCode is the JSON body itself, as HTTP API v2 and Function URLs treat it
+        if (result?.statusCode === undefined) {
+            result = result === undefined
+                ? { statusCode: 200 }
+                : { statusCode: 200, headers: { 'content-type': 'application/json' }, body: JSON.stringify(result) };
+        }
 
-        // Add observability context
-        obs.addBusinessContext({
-            topicArn: topicArn,
-            messageSize: JSON.stringify(message).length
-        });
+        const statusCode = result.statusCode;
 
-        // Build message attributes with trace propagation
-        const messageAttributes = {
-            ...options.messageAttributes,
-            // Always include trace context
-            traceparent: {
-                DataType: "String",
-                StringValue: traceContext?.traceparent || this.generateFallbackTrace()
-            },
-            w3c_traceparent_orig: {
-                DataType: "String", 
-                StringValue: traceContext?.traceparent || this.generateFallbackTrace()
-            }
-        };
+        this.setSpanAttributes(obs, { 'http.response.status_code': statusCode });
+        if (statusCode >= 500) obs.markError(`HTTP ${statusCode}`, String(statusCode));
 
-        return await obs.monitor('sns_publish', async () => {
-            const { PublishCommand } = await import("@aws-sdk/client-sns");
-            
-            const result = await this.sns.send(new PublishCommand({
-                TopicArn: topicArn,
-                Message: JSON.stringify(message),
-                MessageAttributes: messageAttributes,
-                ...options.publishOptions
-            }));
+        const headers = { ...result.headers };
+        const traceparent = obs.getTraceContext()?.traceparent;
 
-            obs.log('INFO', 'message_published', {
-                messageId: result.MessageId,
-                topicArn: topicArn,
-                traceId: traceContext?.traceId
-            });
+        if (traceparent) headers.traceparent = traceparent;
+        headers['x-request-id'] = context.awsRequestId;
 
-            return result;
-        });
-    }
+        // Browsers can only read these headers on CORS responses when they are exposed
+        const exposeKey = findKey(headers, 'access-control-expose-headers');
+        if (findKey(headers, 'access-control-allow-origin')) {
+            const exposed = exposeKey ? `${headers[exposeKey]}, ` : '';
+            headers[exposeKey || 'access-control-expose-headers'] = `${exposed}traceparent, x-request-id`;
+        }
 
-    generateFallbackTrace() {
-        const traceId = Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
-        const spanId = Array.from({ length: 16 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
-        return `00-${traceId}-${spanId}-01`;
+        return this.shapeResponse({ ...result, statusCode, headers }, request);
     }
-}
 
-/**
- * API Gateway Handler - Handles HTTP requests with observability
- */
-export class APIHandler {
-    constructor(serviceName) {
-        this.serviceName = serviceName;
+    setSpanAttributes(obs, attributes) {
+        if (!obs.currentSpan) return;
+
+        obs.currentSpan.setAttributes(Object.fromEntries(
+            Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null)
+        ));
     }
 
     /**
-     * Handle API Gateway request with observability
+     * Normalize any supported HTTP event into one request model
      */
-    async handle(event, context, businessLogic) {
-        const obs = new ObservabilityManager(this.serviceName).init(event, context);
-
-        try {
-            // Add API context
-            obs.addBusinessContext({
-                httpMethod: event.httpMethod,
-                path: event.path,
-                userAgent: event.headers?.['User-Agent'],
-                sourceIp: event.requestContext?.identity?.sourceIp
-            });
+    normalizeRequest(event, source) {
+        const requestContext = event.requestContext || {};
+        const headers = normalizeHeaders(event.headers, event.multiValueHeaders);
+        const isV2 = source === 'API_GATEWAY_V2' || source === 'FUNCTION_URL';
+
+        // ALB passes query strings through still URL-encoded
+        const decode = (value) => {
+            if (source !== 'ALB') return value;
+            try {
+                return decodeURIComponent(value.replace(/\+/g, ' '));
+            } catch (error) {
+                return value;
+            }
+        };
 
-            // Extract trace context from headers
-            const traceContext = obs.extractIncomingTraceContext(event);
+        let multiValueQuery = {};
+        if (isV2) {
+            for (const [name, value] of new URLSearchParams(event.rawQueryString || '')) {
+                (multiValueQuery[name] = multiValueQuery[name] || []).push(value);
+            }
+        } else if (event.multiValueQueryStringParameters) {
+            for (const [name, values] of Object.entries(event.multiValueQueryStringParameters)) {
+                multiValueQuery[decode(name)] = (values || []).map(decode);
+            }
+        } else {
+            for (const [name, value] of Object.entries(event.queryStringParameters || {})) {
+                multiValueQuery[decode(name)] = [decode(value)];
+            }
+        }
 
-            obs.log('INFO', 'api_request_started', {
-                httpMethod: event.httpMethod,
-                path: event.path,
-                traceId: traceContext?.traceId
-            });
+        const query = Object.fromEntries(
+            Object.entries(multiValueQuery).map(([name, values]) => [name, values[values.length - 1]])
+        );
 
-            // Call business logic
-            const result = await obs.monitor('api_business_logic', async () => {
-                return await businessLogic(event, {
-                    context: context,
-                    traceContext: traceContext,
-                    logger: obs
-                });
-            });
+        const cookies = isV2
+            ? (event.cookies || [])
+            : (headers.cookie ? headers.cookie.split(';').map(cookie => cookie.trim()).filter(Boolean) : []);
 
-            obs.complete({
-                statusCode: result.statusCode || 200,
-                responseSize: JSON.stringify(result).length
-            });
+        // v1 exposes the resource template; v2 a "METHOD /template" route key
+        const routeKey = isV2 && requestContext.routeKey !== '$default' ? requestContext.routeKey : undefined;
 
-            return result;
+        return {
+            source: source,
+            method: isV2 ? requestContext.http?.method : event.httpMethod,
+            path: isV2 ? event.rawPath : event.path,
+            route: source === 'API_GATEWAY' ? event.resource : routeKey?.split(' ').pop(),
+            headers: headers,
+            usesMultiValueHeaders: !!event.multiValueHeaders,
+            cookies: cookies,
+            query: query,
+            multiValueQuery: multiValueQuery,
+            pathParameters: event.pathParameters || {},
+            body: event.body,
+            isBase64Encoded: !!event.isBase64Encoded,
+            sourceIp: isV2
+                ? requestContext.http?.sourceIp
+                : (requestContext.identity?.sourceIp || headers['x-forwarded-for']?.split(',')[0].trim()),
+            userAgent: isV2 ? (requestContext.http?.userAgent || headers['user-agent']) : headers['user-agent'],
+            requestId: requestContext.requestId,
+            getHeader: (name) => headers[name.toLowerCase()]
+        };
+    }
 
-        } catch (error) {
-            obs.handleError(error, {
-                httpMethod: event.httpMethod,
-                path: event.path
-            });
+    /**
+     * Shape a business logic result into the response format of the event source
+     * result: { statusCode, headers, cookies, body, isBase64Encoded }; non-string bodies are sent as JSON
+     */
+    shapeResponse(result, request) {
+        const { statusCode = 200, headers = {}, multiValueHeaders = {}, cookies = [], isBase64Encoded = false } = result;
+        const responseHeaders = { ...headers };
+        let body = result.body;
+
+        if (body !== undefined && typeof body !== 'string') {
+            body = JSON.stringify(body);
+            if (!findKey(responseHeaders, 'content-type')) responseHeaders['content-type'] = 'application/json';
+        }
 
+        // HTTP API v2 and Function URLs take cookies as their own field
+        if (request.source === 'API_GATEWAY_V2' || request.source === 'FUNCTION_URL') {
             return {
-                statusCode: 500,
-                body: JSON.stringify({
-                    error: 'Internal Server Error',
-                    requestId: context.awsRequestId
-                })
+                statusCode: statusCode,
+                headers: responseHeaders,
+                ...(cookies.length > 0 && { cookies: cookies }),
+                body: body,
+                isBase64Encoded: isBase64Encoded
             };
         }
+
+        const response = {
+            statusCode: statusCode,
+            body: body ?? '',
+            isBase64Encoded: isBase64Encoded
+        };
+
+        // ALB requires a status description and must answer in the header mode the target group uses
+        if (request.source === 'ALB') {
+            response.statusDescription = `${statusCode} ${STATUS_CODES[statusCode] || ''}`.trim();
+
+            if (request.usesMultiValueHeaders) {
+                response.multiValueHeaders = this.toMultiValueHeaders(responseHeaders, multiValueHeaders, cookies);
+            } else {
+                response.headers = cookies.length > 0
+                    ? { ...responseHeaders, 'set-cookie': cookies[cookies.length - 1] }
+                    : responseHeaders;
+            }
+
+            return response;
+        }
+
+        // REST API (v1) accepts both header maps
+        response.headers = responseHeaders;
+        if (cookies.length > 0 || Object.keys(multiValueHeaders).length > 0) {
+            response.multiValueHeaders = this.toMultiValueHeaders({}, multiValueHeaders, cookies);
+        }
+
+        return response;
+    }
+
+    toMultiValueHeaders(headers, multiValueHeaders, cookies) {
+        const merged = {};
+
+        for (const [name, value] of Object.entries(headers)) merged[name] = [String(value)];
+        for (const [name, values] of Object.entries(multiValueHeaders)) merged[name] = [...(merged[name] || []), ...values];
+        if (cookies.length > 0) merged['set-cookie'] = [...(merged['set-cookie'] || []), ...cookies];
+
+        return merged;
     }
 }
 
@@ -483,17 +3319,37 @@ export function withObservability(serviceName, handler) {
     return async (event, context) => {
         const obs = new ObservabilityManager(serviceName).init(event, context);
         
-        try {
-            const result = await obs.monitor('lambda_execution', async () => {
-                return await handler(event, context, obs);
-            });
-            
-            obs.complete();
-            return result;
-            
-        } catch (error) {
-            obs.handleError(error);
-            throw error;
-        }
+        return await runInvocation(obs, async () => {
+            try {
+                const result = await obs.monitor('lambda_execution', async () => {
+                    return await handler(event, context, obs);
+                });
+                
+                obs.complete();
+                return result;
+                
+            } catch (error) {
+                obs.handleError(error);
+                throw error;
+            }
+        });
     };
+}
+
+/**
+ * The ObservabilityManager of the invocation this code runs in, from any depth of the call stack
+ * Inside a processor record this is the record's child logger. Returns undefined outside a handler
+ */
+export function getObservability() {
+    const invocation = invocationStorage.getStore();
+    const scope = spanStorage.getStore();
+
+    return invocation && scope?.manager === invocation ? scope.logger : invocation;
+}
+
+/**
+ * Logger for the current invocation; outside a handler, a standalone manager for SERVICE_NAME
+ */
+export function getLogger() {
+    return getObservability() || new ObservabilityManager();
 }
\ No newline at end of file
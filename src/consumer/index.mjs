@@ -1,6 +1,8 @@
 // Simple consumer without complex OTEL imports to avoid runtime errors
 // OTEL instrumentation will be handled by the ADOT layer automatically
 
+let invalidTraceparentCount = 0;
+
 export const handler = async (event) => {
   console.log(JSON.stringify({
     level: "INFO", hop: "consumer", message: "processing_sqs_batch",
@@ -41,8 +43,8 @@ export const handler = async (event) => {
           resource: record.eventSourceARN
         },
         correlation: {
-          traceId: carrier.traceparent ? carrier.traceparent.split('-')[1] : null,
-          spanId: carrier.traceparent ? carrier.traceparent.split('-')[2] : null,
+          traceId: carrier.traceId || null,
+          spanId: carrier.spanId || null,
           messageId: record.messageId
         }
       }));
@@ -67,7 +69,8 @@ export const handler = async (event) => {
     level: "INFO", hop: "consumer", message: "batch_processing_complete",
     processedCount: results.length,
     successCount: results.filter(r => r.status === "success").length,
-    errorCount: results.filter(r => r.status === "error").length
+    errorCount: results.filter(r => r.status === "error").length,
+    invalidTraceparentCount
   }));
 
   return { batchItemFailures: [] };
@@ -78,11 +81,11 @@ function extractTraceCarrier(record) {
   
   // Try SQS message attributes first (direct SQS)
   const sqsAttrs = record.messageAttributes || {};
-  let traceparent = sqsAttrs.traceparent?.stringValue;
+  let traceparent = acceptTraceparent(sqsAttrs.traceparent?.stringValue, "traceparent", record);
   
   // Extract all trace contexts for comparison
-  const traceparentFromSNS = sqsAttrs.traceparent?.stringValue || null;
-  const traceparentOriginal = sqsAttrs.w3c_traceparent_orig?.stringValue || null;
+  const traceparentFromSNS = traceparent;
+  const traceparentOriginal = acceptTraceparent(sqsAttrs.w3c_traceparent_orig?.stringValue, "w3c_traceparent_orig", record);
   const xrayHeader = record.attributes?.AWSTraceHeader || null;
   
   console.log(JSON.stringify({
@@ -101,8 +104,8 @@ function extractTraceCarrier(record) {
       resource: record.eventSourceARN
     },
     correlation: {
-      traceId: traceparentOriginal ? traceparentOriginal.split('-')[1] : null,
-      spanId: traceparentOriginal ? traceparentOriginal.split('-')[2] : null,
+      traceId: parseTraceparent(traceparentOriginal)?.traceId || null,
+      spanId: parseTraceparent(traceparentOriginal)?.spanId || null,
       messageId: record.messageId
     }
   }));
@@ -112,7 +115,7 @@ function extractTraceCarrier(record) {
     try {
       const body = JSON.parse(record.body);
       if (body.Type === "Notification" && body.MessageAttributes) {
-        traceparent = body.MessageAttributes.traceparent?.Value;
+        traceparent = acceptTraceparent(body.MessageAttributes.traceparent?.Value, "sns_envelope_traceparent", record);
       }
     } catch (error) {
       // Not an SNS message, ignore
@@ -123,7 +126,10 @@ function extractTraceCarrier(record) {
   const finalTraceparent = traceparentOriginal || traceparent;
   
   if (finalTraceparent) {
-    carrier.traceparent = finalTraceparent;
+    const parsed = parseTraceparent(finalTraceparent);
+    carrier.traceparent = parsed.traceparent;
+    carrier.traceId = parsed.traceId;
+    carrier.spanId = parsed.spanId;
     console.log(JSON.stringify({
       level: "DEBUG", hop: "consumer", message: "extracted_traceparent",
       traceparent: finalTraceparent,
@@ -134,6 +140,53 @@ function extractTraceCarrier(record) {
   return carrier;
 }
 
+// W3C traceparent: version-traceid-parentid-flags in lowercase hex; future versions may append fields
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+// Returns why a traceparent is invalid, or null when it is valid
+function validateTraceparent(value) {
+  if (typeof value !== "string") return "not_a_string";
+
+  const match = TRACEPARENT_PATTERN.exec(value.trim());
+  if (!match) return "invalid_format";
+
+  const [, version, traceId, spanId, , extra] = match;
+  if (version === "ff") return "forbidden_version";
+  if (version === "00" && extra !== undefined) return "invalid_length";
+  if (/^0+$/.test(traceId)) return "zero_trace_id";
+  if (/^0+$/.test(spanId)) return "zero_parent_id";
+
+  return null;
+}
+
+// Reads a valid traceparent as version 00, or returns null
+function parseTraceparent(value) {
+  if (validateTraceparent(value)) return null;
+
+  const [, traceId, spanId, flags] = value.trim().split("-");
+  return { traceId, spanId, traceparent: `00-${traceId}-${spanId}-${flags}` };
+}
+
+// Returns the traceparent when it is valid W3C, otherwise logs a warning and returns null
+function acceptTraceparent(value, field, record) {
+  if (value === undefined || value === null) return null;
+
+  const reason = validateTraceparent(value);
+  if (!reason) return parseTraceparent(value).traceparent;
+
+  invalidTraceparentCount++;
+  console.log(JSON.stringify({
+    level: "WARN", hop: "consumer", message: "invalid_traceparent",
+    messageId: record.messageId,
+    field: field,
+    value: String(value).slice(0, 256),
+    reason: reason,
+    invalidTraceparentCount
+  }));
+
+  return null;
+}
+
 function parseMessage(record) {
   try {
     const body = JSON.parse(record.body);
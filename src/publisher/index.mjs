@@ -1,9 +1,51 @@
 // index.mjs
+import { randomBytes } from "node:crypto";
 import { SNSClient, PublishCommand } from "@aws-sdk/client-sns";
 import { context, trace } from "@opentelemetry/api";
 
 const sns = new SNSClient({});
 
+// W3C traceparent: version-traceid-parentid-flags in lowercase hex; future versions may append fields
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+// Returns why a traceparent is invalid, or null when it is valid
+function validateTraceparent(value) {
+    if (typeof value !== "string") return "not_a_string";
+
+    const match = TRACEPARENT_PATTERN.exec(value.trim());
+    if (!match) return "invalid_format";
+
+    const [, version, traceId, spanId, , extra] = match;
+    if (version === "ff") return "forbidden_version";
+    if (version === "00" && extra !== undefined) return "invalid_length";
+    if (/^0+$/.test(traceId)) return "zero_trace_id";
+    if (/^0+$/.test(spanId)) return "zero_parent_id";
+
+    return null;
+}
+
+// Reads a valid traceparent as version 00, or returns null
+function parseTraceparent(value) {
+    if (validateTraceparent(value)) return null;
+
+    const [, traceId, spanId, flags] = value.trim().split("-");
+    return { traceId, spanId, traceparent: `00-${traceId}-${spanId}-${flags}` };
+}
+
+// X-Ray header (Root=1-<8 hex>-<24 hex>;Parent=<16 hex>;Sampled=1, fields in any order) as a traceparent
+function xrayToTraceparent(header) {
+    const fields = Object.fromEntries(String(header ?? "").split(";").map(field => field.trim().split("=")));
+    const root = /^1-([0-9a-f]{8})-([0-9a-f]{24})$/.exec(fields.Root ?? "");
+    if (!root) return null;
+
+    return parseTraceparent(`00-${root[1]}${root[2]}-${fields.Parent}-${fields.Sampled === "1" ? "01" : "00"}`)?.traceparent ?? null;
+}
+
+// Crypto-random root trace for a publish with no trace to join
+function generateRootTraceparent() {
+    return `00-${randomBytes(16).toString("hex")}-${randomBytes(8).toString("hex")}-01`;
+}
+
 function getTraceparentFromActiveSpan() {
     // Try multiple approaches to get trace context from ADOT layer
 
@@ -18,17 +60,8 @@ function getTraceparentFromActiveSpan() {
     }
 
     // Method 2: Try to get from X-Ray environment variables
-    const xrayTraceId = process.env._X_AMZN_TRACE_ID;
-    if (xrayTraceId) {
-        // Parse X-Ray trace ID format: Root=1-5e1b4151-5ac6c58f40c8b5e065b2dcf0;Parent=53995c3f42cd8ad8;Sampled=1
-        const match = xrayTraceId.match(/Root=1-([a-f0-9]{8})-([a-f0-9]{24});Parent=([a-f0-9]{16});Sampled=([01])/);
-        if (match) {
-            const [, timestamp, traceIdSuffix, parentId, sampled] = match;
-            const traceId = timestamp + traceIdSuffix;
-            const flags = sampled === "1" ? "01" : "00";
-            return `00-${traceId}-${parentId}-${flags}`;
-        }
-    }
+    const xrayTraceparent = xrayToTraceparent(process.env._X_AMZN_TRACE_ID);
+    if (xrayTraceparent) return xrayTraceparent;
 
     // Method 3: Try to access the active context directly
     const activeContext = context.active();
@@ -44,14 +77,22 @@ function getTraceparentFromActiveSpan() {
     return null;
 }
 
-function generateW3CTraceparent() {
-    // Generate a random 32-character hex trace ID
-    const traceId = Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
-    // Generate a random 16-character hex span ID
-    const spanId = Array.from({ length: 16 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
-    // Set flags to 01 (sampled)
-    const flags = "01";
-    return `00-${traceId}-${spanId}-${flags}`;
+// Only trust an incoming traceparent that is valid W3C; anything else is logged and dropped
+function acceptIncomingTraceparent(value) {
+    if (value === undefined || value === null) return undefined;
+
+    const parsed = parseTraceparent(value);
+    if (parsed) return parsed.traceparent;
+
+    console.log(JSON.stringify({
+        level: "WARN",
+        service: "asyncdemo-publisher",
+        hop: "publisher",
+        message: "invalid_traceparent",
+        value: String(value).slice(0, 256),
+        reason: validateTraceparent(value)
+    }));
+    return undefined;
 }
 
 export const handler = async (event = {}) => {
@@ -86,9 +127,9 @@ export const handler = async (event = {}) => {
     };
 
     // prefer incoming traceparent (if this lambda is invoked by an upstream caller)
-    const incomingTraceparent = event.traceparent;
+    const incomingTraceparent = acceptIncomingTraceparent(event.traceparent);
     const otelTraceparent = getTraceparentFromActiveSpan();
-    const traceparent = incomingTraceparent || otelTraceparent || generateW3CTraceparent();
+    const traceparent = incomingTraceparent || otelTraceparent || generateRootTraceparent();
 
     // Debug: Log what trace context we can access
     const debugInfo = {
@@ -121,8 +162,8 @@ export const handler = async (event = {}) => {
             resource: process.env.TOPIC_ARN
         },
         correlation: {
-            traceId: traceparent.split('-')[1],
-            spanId: traceparent.split('-')[2]
+            traceId: parseTraceparent(traceparent)?.traceId ?? null,
+            spanId: parseTraceparent(traceparent)?.spanId ?? null
         }
     }));
 
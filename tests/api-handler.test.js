@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APIHandler, BadRequestError, NotFoundError } from '../index.js';
+import { captureLogs, lambdaContext, withEnv } from './helpers.js';
+
+const restEvent = () => ({
+    httpMethod: 'GET',
+    path: '/orders',
+    resource: '/orders',
+    headers: { Accept: 'application/json' },
+    requestContext: { requestId: 'api-req-1', identity: { sourceIp: '10.0.0.1' } }
+});
+
+const httpApiEvent = () => ({
+    version: '2.0',
+    rawPath: '/orders',
+    rawQueryString: '',
+    headers: { accept: 'application/json' },
+    requestContext: {
+        requestId: 'api-req-2',
+        domainName: 'abc123.execute-api.us-east-1.amazonaws.com',
+        http: { method: 'GET', path: '/orders', sourceIp: '10.0.0.1' }
+    }
+});
+
+const logs = captureLogs();
+
+for (const [source, event] of [['REST', restEvent], ['HTTP API v2', httpApiEvent]]) {
+    test(`${source}: a result without statusCode is the JSON body of a 200`, async () => {
+        const response = await new APIHandler('api').handle(event(), lambdaContext, async () => ({ hello: 1 }));
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['content-type'], 'application/json');
+        assert.deepEqual(JSON.parse(response.body), { hello: 1 });
+    });
+
+    test(`${source}: a string result is sent as a JSON string`, async () => {
+        const response = await new APIHandler('api').handle(event(), lambdaContext, async () => 'hello');
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.body, '"hello"');
+    });
+
+    test(`${source}: a response object is shaped, not wrapped`, async () => {
+        const response = await new APIHandler('api').handle(event(), lambdaContext, async () => ({
+            statusCode: 201,
+            headers: { location: '/orders/1' },
+            body: { id: 1 }
+        }));
+
+        assert.equal(response.statusCode, 201);
+        assert.equal(response.headers.location, '/orders/1');
+        assert.equal(response.headers['x-request-id'], 'req-1');
+        assert.deepEqual(JSON.parse(response.body), { id: 1 });
+    });
+}
+
+test('an empty result is an empty 200', async () => {
+    const response = await new APIHandler('api').handle(restEvent(), lambdaContext, async () => undefined);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body, '');
+});
+
+test('HttpError details are extension members and cannot change the status', async () => {
+    const response = await new APIHandler('api').handle(restEvent(), lambdaContext, async () => {
+        throw new NotFoundError('Order o1 not found', {
+            details: { status: 200, type: 'spoofed', detail: 'spoofed', headers: { x: '1' }, orderId: 'o1' }
+        });
+    });
+    const problem = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.headers['content-type'], 'application/problem+json');
+    assert.equal(response.headers.x, undefined);
+    assert.equal(problem.status, 404);
+    assert.equal(problem.type, 'about:blank');
+    assert.equal(problem.detail, 'Order o1 not found');
+    assert.equal(problem.orderId, 'o1');
+    assert.equal(problem.instance, '/orders');
+});
+
+test('errorMapper extensions cannot replace standard members', async () => {
+    const handler = new APIHandler('api', {
+        errorMapper: () => ({ status: 409, title: 'Conflict', requestId: 'spoofed', traceId: 'spoofed' })
+    });
+    const response = await handler.handle(restEvent(), lambdaContext, async () => {
+        throw new Error('duplicate');
+    });
+    const problem = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(problem.status, 409);
+    assert.equal(problem.requestId, 'req-1');
+});
+
+test('a throwing errorMapper falls back to the default mapping', async () => {
+    const handler = new APIHandler('api', {
+        errorMapper: () => {
+            throw new TypeError('mapper bug');
+        }
+    });
+    const response = await handler.handle(restEvent(), lambdaContext, async () => {
+        throw new BadRequestError('Missing orderId');
+    });
+
+    assert.equal(response.statusCode, 400);
+    assert.equal(JSON.parse(response.body).detail, 'Missing orderId');
+    assert.ok(logs.lines.some(line => line.message === 'error_mapper_failed' && line.error === 'mapper bug'));
+});
+
+test('an error the mapper turns into a 4xx is a client error, not a failure', async () => {
+    await withEnv({ LOG_LEVEL: 'INFO', LOG_BUFFER_DEBUG: 'true' }, async () => {
+        const handler = new APIHandler('api', {
+            errorMapper: (error) => (error.name === 'ConditionalCheckFailedException'
+                ? { status: 409, title: 'Conflict', detail: 'Order already exists' }
+                : undefined)
+        });
+        const response = await handler.handle(restEvent(), lambdaContext, async (event, { logger }) => {
+            logger.log('DEBUG', 'writing_order');
+            throw Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+        });
+
+        assert.equal(response.statusCode, 409);
+        assert.equal(JSON.parse(response.body).detail, 'Order already exists');
+
+        const failed = logs.lines.find(line => line.message === 'api_business_logic_failed');
+        assert.equal(failed.level, 'WARN');
+        assert.ok(logs.lines.some(line => line.message === 'client_error' && line.status === 409));
+        assert.ok(!logs.lines.some(line => line.message === 'writing_order'));
+        assert.ok(!logs.lines.some(line => 'OperationFailure' in line));
+        assert.ok(!logs.lines.some(line => line.level === 'ERROR'));
+    });
+});
+
+test('an error the mapper turns into a 5xx is still a failure', async () => {
+    await withEnv({ LOG_LEVEL: 'INFO', LOG_BUFFER_DEBUG: 'true' }, async () => {
+        const handler = new APIHandler('api', {
+            errorMapper: () => ({ status: 503, title: 'Service Unavailable' })
+        });
+        const response = await handler.handle(restEvent(), lambdaContext, async (event, { logger }) => {
+            logger.log('DEBUG', 'writing_order');
+            throw new BadRequestError('looks like a client error');
+        });
+
+        assert.equal(response.statusCode, 503);
+        assert.equal(logs.lines.find(line => line.message === 'api_business_logic_failed').level, 'ERROR');
+        assert.ok(logs.lines.some(line => line.message === 'writing_order'));
+        assert.ok(logs.lines.some(line => 'OperationFailure' in line));
+    });
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APIHandler } from '../index.js';
+import { captureLogs, lambdaContext } from './helpers.js';
+
+const logs = captureLogs();
+
+// HTTP API v2 event, matched on the request path
+const httpApiEvent = (method, path, rawQueryString = '') => ({
+    version: '2.0',
+    rawPath: path,
+    rawQueryString: rawQueryString,
+    headers: {},
+    requestContext: {
+        requestId: 'api-req-1',
+        routeKey: '$default',
+        http: { method: method, path: path, sourceIp: '10.0.0.1' }
+    }
+});
+
+const echo = async (event, { route, params, query }) => ({ route, params, query });
+
+const users = () => new APIHandler('users')
+    .route('GET /users/{userId}', echo, { params: { userId: 'integer' }, query: { verbose: 'boolean', limit: 'number' } })
+    .route('DELETE /users/{userId}', echo)
+    .route('GET /files/{path+}', echo)
+    .route('ANY /health', echo);
+
+test('an unknown path is a 404 and a known path with another method a 405 with Allow', async () => {
+    const notFound = await users().handle(httpApiEvent('GET', '/orders/1'), lambdaContext);
+    assert.equal(notFound.statusCode, 404);
+    assert.equal(notFound.headers.allow, undefined);
+
+    const notAllowed = await users().handle(httpApiEvent('PUT', '/users/42'), lambdaContext);
+    assert.equal(notAllowed.statusCode, 405);
+    assert.equal(notAllowed.headers.allow, 'GET, DELETE');
+    assert.equal(JSON.parse(notAllowed.body).status, 405);
+});
+
+test('ANY matches every method', async () => {
+    for (const method of ['GET', 'POST', 'DELETE']) {
+        const response = await users().handle(httpApiEvent(method, '/health'), lambdaContext);
+        assert.equal(response.statusCode, 200, method);
+    }
+});
+
+test('typed path and query parameters are converted', async () => {
+    const response = await users().handle(httpApiEvent('GET', '/users/42', 'verbose=true&limit=2.5'), lambdaContext);
+
+    assert.deepEqual(JSON.parse(response.body), {
+        route: '/users/{userId}',
+        params: { userId: 42 },
+        query: { verbose: true, limit: 2.5 }
+    });
+});
+
+test('a path or query value of the wrong type is a 400 naming the parameter', async () => {
+    const badPath = await users().handle(httpApiEvent('GET', '/users/abc'), lambdaContext);
+    assert.equal(badPath.statusCode, 400);
+    assert.equal(JSON.parse(badPath.body).detail, 'Invalid path parameter "userId"');
+    assert.equal(JSON.parse(badPath.body).value, 'abc');
+
+    const badQuery = await users().handle(httpApiEvent('GET', '/users/42', 'verbose=yes'), lambdaContext);
+    assert.equal(badQuery.statusCode, 400);
+    assert.equal(JSON.parse(badQuery.body).parameter, 'verbose');
+});
+
+test('unknown parameter types are rejected when the route is registered', () => {
+    assert.throws(
+        () => new APIHandler('users').route('GET /users/{userId}', echo, { params: { userId: 'uuid' } }),
+        /Unknown parameter type "uuid" in route GET \/users\/\{userId\}/
+    );
+});
+
+test('a {name+} parameter takes the rest of the path', async () => {
+    const response = await users().handle(httpApiEvent('GET', '/files/reports/2024/q1%20summary.pdf'), lambdaContext);
+
+    assert.deepEqual(JSON.parse(response.body).params, { path: 'reports/2024/q1 summary.pdf' });
+    assert.equal((await users().handle(httpApiEvent('GET', '/files'), lambdaContext)).statusCode, 404);
+});
+
+test('non-proxy REST integrations match on the resource API Gateway resolved', async () => {
+    // Behind a custom domain base path the request path no longer matches the template
+    const event = {
+        httpMethod: 'GET',
+        path: '/v1/users/7',
+        resource: '/users/{userId}',
+        pathParameters: { userId: '7' },
+        headers: {},
+        requestContext: { requestId: 'api-req-2', identity: { sourceIp: '10.0.0.1' } }
+    };
+
+    const response = await users().handle(event, lambdaContext);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(JSON.parse(response.body).params, { userId: 7 });
+});
+
+test('each route runs in a monitor named after its method and template', async () => {
+    await users().handle(httpApiEvent('GET', '/users/42'), lambdaContext);
+
+    const completed = logs.lines.find(line => line.message === 'get_users_userid_completed');
+    assert.equal(completed.route, '/users/{userId}');
+
+    const named = new APIHandler('users').route('GET /users/{userId}', echo, { name: 'load_user' });
+    await named.handle(httpApiEvent('GET', '/users/42'), lambdaContext);
+    assert.ok(logs.lines.some(line => line.message === 'load_user_completed'));
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBStreamProcessor } from '../index.js';
+import { captureLogs, lambdaContext } from './helpers.js';
+
+const logs = captureLogs();
+
+const STREAM_ARN = 'arn:aws:dynamodb:us-east-1:123456789012:table/orders/stream/2024-01-01T00:00:00.000';
+
+function streamRecord(sequenceNumber, eventName, images = {}) {
+    return {
+        eventID: `event-${sequenceNumber}`,
+        eventName: eventName,
+        eventSource: 'aws:dynamodb',
+        eventSourceARN: STREAM_ARN,
+        dynamodb: {
+            Keys: { orderId: { S: `o${sequenceNumber}` } },
+            SequenceNumber: sequenceNumber,
+            ...images
+        }
+    };
+}
+
+test('images and keys are unmarshalled into plain objects', async () => {
+    const changes = [];
+    const event = {
+        Records: [
+            streamRecord('100', 'MODIFY', {
+                OldImage: { orderId: { S: 'o100' }, total: { N: '10' }, tags: { SS: ['new'] } },
+                NewImage: { orderId: { S: 'o100' }, total: { N: '12.5' }, paid: { BOOL: true }, items: { L: [{ M: { sku: { S: 'a' } } }] } }
+            }),
+            streamRecord('101', 'REMOVE', { OldImage: { orderId: { S: 'o101' } } })
+        ]
+    };
+
+    const result = await new DynamoDBStreamProcessor('orders').processBatch(event, lambdaContext, async (change, { tableName }) => {
+        changes.push({ ...change, tableName });
+    });
+
+    assert.deepEqual(result, { batchItemFailures: [] });
+    assert.deepEqual(changes, [
+        {
+            eventName: 'MODIFY',
+            keys: { orderId: 'o100' },
+            newImage: { orderId: 'o100', total: 12.5, paid: true, items: [{ sku: 'a' }] },
+            oldImage: { orderId: 'o100', total: 10, tags: new Set(['new']) },
+            sequenceNumber: '100',
+            tableName: 'orders'
+        },
+        {
+            eventName: 'REMOVE',
+            keys: { orderId: 'o101' },
+            newImage: undefined,
+            oldImage: { orderId: 'o101' },
+            sequenceNumber: '101',
+            tableName: 'orders'
+        }
+    ]);
+});
+
+test('only the first failed sequence number is reported and later records are skipped', async () => {
+    const handled = [];
+    const event = { Records: ['200', '201', '202', '203'].map(sequenceNumber => streamRecord(sequenceNumber, 'INSERT')) };
+
+    const result = await new DynamoDBStreamProcessor('orders').processBatch(event, lambdaContext, async (change) => {
+        handled.push(change.sequenceNumber);
+        if (change.sequenceNumber === '201') throw new Error('cannot apply change');
+    });
+
+    assert.deepEqual(result, { batchItemFailures: [{ itemIdentifier: '201' }] });
+    assert.deepEqual(handled, ['200', '201']);
+
+    const skipped = logs.lines.find(line => line.message === 'stream_records_skipped_after_failure');
+    assert.equal(skipped.failedSequenceNumber, '201');
+    assert.equal(skipped.skippedCount, 2);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBridgePublisher } from '../index.js';
+import { captureLogs, fakeClient } from './helpers.js';
+
+captureLogs();
+
+// PutEvents answers positionally; events whose detail has `fail` set are rejected
+const putEvents = (input) => ({
+    Entries: input.Entries.map((entry, i) => (JSON.parse(entry.Detail).fail
+        ? { ErrorCode: 'InternalFailure', ErrorMessage: 'try again' }
+        : { EventId: `event-${i}` }))
+});
+
+const events = (count) => Array.from({ length: count }, (_, i) => ({ detailType: 'OrderPlaced', detail: { orderId: `o${i}` } }));
+
+test('putEvents sends in chunks of 10 and reports every event by index', async () => {
+    const client = fakeClient(putEvents);
+    const batch = events(12);
+    batch[11].detail.fail = true;
+
+    const report = await new EventBridgePublisher('orders', client).putEvents(batch);
+
+    assert.deepEqual(client.requests.map(request => request.Entries.length), [10, 2]);
+    assert.deepEqual(report.successful.map(entry => entry.index), [...Array(11).keys()]);
+    assert.deepEqual(report.failed, [{ index: 11, code: 'InternalFailure', message: 'try again' }]);
+});
+
+test('putEvents sends nothing when any event cannot be serialized', async () => {
+    const client = fakeClient(putEvents);
+    const batch = events(12);
+    batch[11].detail.self = batch[11].detail;
+
+    await assert.rejects(new EventBridgePublisher('orders', client).putEvents(batch), TypeError);
+    assert.equal(client.requests.length, 0);
+});
+
+test('a failed request fails every event in its chunk only', async () => {
+    const client = fakeClient((input, call) => {
+        if (call === 2) throw Object.assign(new Error('throttled'), { name: 'ThrottlingException' });
+        return putEvents(input);
+    });
+
+    const report = await new EventBridgePublisher('orders', client).putEvents(events(12));
+
+    assert.equal(report.successCount, 10);
+    assert.deepEqual(report.failed.map(entry => [entry.index, entry.code]), [[10, 'ThrottlingException'], [11, 'ThrottlingException']]);
+});
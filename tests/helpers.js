@@ -0,0 +1,83 @@
+import { beforeEach, afterEach } from 'node:test';
+
+export const lambdaContext = {
+    awsRequestId: 'req-1',
+    functionName: 'orders',
+    functionVersion: '$LATEST',
+    getRemainingTimeInMillis: () => 30000
+};
+
+/**
+ * Replaces console.log for every test in the calling file and collects the JSON lines.
+ * The returned object's `lines` is reset before each test.
+ */
+export function captureLogs() {
+    const captured = { lines: [] };
+    let originalLog;
+
+    beforeEach(() => {
+        captured.lines = [];
+        originalLog = console.log;
+        console.log = (line) => captured.lines.push(JSON.parse(line));
+    });
+
+    afterEach(() => {
+        console.log = originalLog;
+    });
+
+    return captured;
+}
+
+/**
+ * AWS client stand-in that records every command input. `respond(input, call)` returns the
+ * response or throws; by default every batch entry succeeds.
+ */
+export function fakeClient(respond = succeedAll) {
+    const requests = [];
+
+    return {
+        requests: requests,
+        send: async (command) => {
+            requests.push(command.input);
+            return respond(command.input, requests.length);
+        }
+    };
+}
+
+/** Batch response in which every entry of the request succeeded */
+export function succeedAll(input) {
+    const entries = input.PublishBatchRequestEntries || input.Entries;
+
+    if (!entries) return { MessageId: 'id-single' };
+    return { Successful: entries.map(entry => ({ Id: entry.Id, MessageId: `id-${entry.Id}` })) };
+}
+
+export function sqsRecord(messageId, messageAttributes = {}) {
+    return {
+        messageId: messageId,
+        receiptHandle: `handle-${messageId}`,
+        body: JSON.stringify({ orderId: messageId }),
+        messageAttributes: messageAttributes,
+        attributes: {},
+        eventSourceARN: 'arn:aws:sqs:us-east-1:123456789012:orders'
+    };
+}
+
+export const orders = (count) => Array.from({ length: count }, (_, i) => ({ orderId: `o${i}`, customerId: `c${i % 3}` }));
+
+/**
+ * Run fn with environment variables set, restoring the previous values afterwards
+ */
+export async function withEnv(vars, fn) {
+    const previous = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+    Object.assign(process.env, vars);
+
+    try {
+        return await fn();
+    } finally {
+        for (const [name, value] of Object.entries(previous)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+}
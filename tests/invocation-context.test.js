@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APIHandler, SNSPublisher, getLogger } from '../index.js';
+import { captureLogs, fakeClient, lambdaContext } from './helpers.js';
+
+const logs = captureLogs();
+
+const TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:orders';
+
+const apiEvent = (path) => ({
+    httpMethod: 'GET',
+    path: path,
+    resource: path,
+    headers: {},
+    requestContext: { requestId: `api-${path}`, identity: { sourceIp: '10.0.0.1' } }
+});
+
+const invocation = (requestId) => ({ ...lambdaContext, awsRequestId: requestId });
+
+test('overlapping invocations each see their own logger', async () => {
+    let releaseFirst;
+    const firstMayFinish = new Promise(resolve => { releaseFirst = resolve; });
+    const seen = { 'req-a': [], 'req-b': [] };
+
+    const handler = new APIHandler('api');
+    const work = (requestId, wait) => handler.handle(apiEvent(`/${requestId}`), invocation(requestId), async () => {
+        seen[requestId].push(getLogger().lambdaContext.awsRequestId);
+        await wait();
+        seen[requestId].push(getLogger().lambdaContext.awsRequestId);
+        getLogger().log('INFO', 'work_done');
+        return { requestId };
+    });
+
+    // req-a starts first, waits until req-b has run, then finishes
+    const first = work('req-a', () => firstMayFinish);
+    const second = work('req-b', async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        releaseFirst();
+    });
+
+    const responses = await Promise.all([first, second]);
+
+    assert.deepEqual(responses.map(response => JSON.parse(response.body).requestId), ['req-a', 'req-b']);
+    assert.deepEqual(seen, { 'req-a': ['req-a', 'req-a'], 'req-b': ['req-b', 'req-b'] });
+    assert.deepEqual(
+        logs.lines.filter(line => line.message === 'work_done').map(line => line.requestId).sort(),
+        ['req-a', 'req-b']
+    );
+});
+
+test('SNSPublisher.publish inside a handler logs the invocation\'s requestId', async () => {
+    const publisher = new SNSPublisher('api', fakeClient());
+
+    await new APIHandler('api').handle(apiEvent('/orders'), invocation('req-publish'), async () => {
+        await publisher.publish(TOPIC_ARN, { orderId: 'o1' });
+    });
+
+    const published = logs.lines.find(line => line.message === 'message_published');
+    assert.equal(published.requestId, 'req-publish');
+    assert.equal(published.messageId, 'id-single');
+});
+
+test('outside a handler getLogger returns a standalone manager', async () => {
+    await new APIHandler('api').handle(apiEvent('/orders'), invocation('req-done'), async () => ({}));
+
+    assert.equal(getLogger().lambdaContext, undefined);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KinesisProcessor } from '../index.js';
+import { captureLogs, lambdaContext } from './helpers.js';
+
+// No OpenTelemetry SDK is registered, so record spans carry the parent context they were given
+
+const logs = captureLogs();
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+function kinesisRecord(shardId, sequenceNumber, data) {
+    return {
+        eventID: `${shardId}:${sequenceNumber}`,
+        eventSource: 'aws:kinesis',
+        eventSourceARN: 'arn:aws:kinesis:us-east-1:123456789012:stream/clicks',
+        kinesis: {
+            partitionKey: `key-${sequenceNumber}`,
+            sequenceNumber: sequenceNumber,
+            data: Buffer.from(typeof data === 'string' ? data : JSON.stringify(data)).toString('base64')
+        }
+    };
+}
+
+test('each shard reports only its first failed sequence number and skips the rest', async () => {
+    const handled = [];
+    const event = {
+        Records: [
+            kinesisRecord('shard-1', '1', { n: 1 }),
+            kinesisRecord('shard-2', '10', { n: 10 }),
+            kinesisRecord('shard-1', '2', { n: 2, fail: true }),
+            kinesisRecord('shard-2', '11', { n: 11 }),
+            kinesisRecord('shard-1', '3', { n: 3, fail: true })
+        ]
+    };
+
+    const result = await new KinesisProcessor('clicks').processBatch(event, lambdaContext, async (data) => {
+        handled.push(data.n);
+        if (data.fail) throw new Error(`cannot handle ${data.n}`);
+    });
+
+    assert.deepEqual(result, { batchItemFailures: [{ itemIdentifier: '2' }] });
+    assert.deepEqual(handled, [1, 2, 10, 11]);
+
+    const completed = logs.lines.find(line => line.message === 'function_completed');
+    assert.equal(completed.skippedCount, 1);
+    assert.equal(completed.batchSize, 5);
+});
+
+test('undecodable data fails the record without calling business logic', async () => {
+    const handled = [];
+    const event = {
+        Records: [
+            kinesisRecord('shard-1', '1', { n: 1 }),
+            kinesisRecord('shard-1', '2', 'not json {'),
+            kinesisRecord('shard-1', '3', { n: 3 })
+        ]
+    };
+
+    const result = await new KinesisProcessor('clicks').processBatch(event, lambdaContext, async (data) => {
+        handled.push(data.n);
+    });
+
+    assert.deepEqual(result, { batchItemFailures: [{ itemIdentifier: '2' }] });
+    assert.deepEqual(handled, [1]);
+
+    const failure = logs.lines.find(line => line.message === 'operation_failed' && line.operation === 'kinesis_record_decoding');
+    assert.equal(failure.sequenceNumber, '2');
+    assert.match(failure.error, /Failed to parse record data/);
+});
+
+test('parseJson false hands over the decoded text', async () => {
+    let received;
+
+    await new KinesisProcessor('clicks', { parseJson: false }).processBatch({
+        Records: [kinesisRecord('shard-1', '1', 'plain text')]
+    }, lambdaContext, async (data) => {
+        received = data;
+    });
+
+    assert.equal(received, 'plain text');
+});
+
+test('embedded _traceContext is stripped from the payload and parents the record span', async () => {
+    let received;
+    const record = kinesisRecord('shard-1', '1', {
+        clickId: 'c1',
+        _traceContext: { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }
+    });
+
+    await new KinesisProcessor('clicks').processBatch({ Records: [record] }, lambdaContext, async (data, { traceContext, logger }) => {
+        received = { data, traceId: traceContext.traceId };
+        logger.log('INFO', 'handling_click');
+    });
+
+    assert.deepEqual(received, { data: { clickId: 'c1' }, traceId: TRACE_ID });
+
+    const line = logs.lines.find(entry => entry.message === 'handling_click');
+    assert.equal(line.traceId, TRACE_ID);
+    assert.equal(line.spanId, PARENT_ID);
+});
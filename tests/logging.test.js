@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservabilityManager, SQSProcessor } from '../index.js';
+import { captureLogs, lambdaContext, sqsRecord, withEnv } from './helpers.js';
+
+const logs = captureLogs();
+
+const messages = (level) => logs.lines.filter(line => line.level === level).map(line => line.message);
+
+test('LOG_LEVEL=INFO drops DEBUG entries', async () => {
+    await withEnv({ LOG_LEVEL: 'INFO' }, () => {
+        const obs = new ObservabilityManager('orders');
+
+        obs.log('DEBUG', 'cache_miss');
+        obs.log('INFO', 'order_loaded');
+    });
+
+    assert.deepEqual(logs.lines.map(line => line.message), ['order_loaded']);
+});
+
+test('LOG_LEVEL=ERROR drops WARN entries too', () => {
+    const obs = new ObservabilityManager('orders', { logLevel: 'error' });
+
+    obs.log('WARN', 'slow_query');
+    obs.log('ERROR', 'query_failed');
+
+    assert.deepEqual(logs.lines.map(line => line.message), ['query_failed']);
+});
+
+test('a sampled invocation logs DEBUG whatever the level', () => {
+    const obs = new ObservabilityManager('orders', { logLevel: 'INFO', debugSampleRate: 1 });
+
+    obs.log('DEBUG', 'cache_miss');
+
+    assert.deepEqual(messages('DEBUG'), ['cache_miss']);
+});
+
+test('setLogLevel changes the threshold and rejects unknown levels', () => {
+    const obs = new ObservabilityManager('orders', { logLevel: 'INFO' });
+
+    obs.setLogLevel('debug');
+    obs.log('DEBUG', 'cache_miss');
+
+    assert.deepEqual(messages('DEBUG'), ['cache_miss']);
+    assert.throws(() => obs.setLogLevel('VERBOSE'), /Unknown log level VERBOSE; expected one of DEBUG, INFO, WARN, ERROR/);
+    assert.equal(obs.logLevel, 'DEBUG');
+});
+
+test('a failed SQS record writes only its own buffered DEBUG entries', async () => {
+    const event = { Records: [sqsRecord('m1'), sqsRecord('m2'), sqsRecord('m3')] };
+
+    const result = await withEnv({ LOG_LEVEL: 'INFO', LOG_BUFFER_DEBUG: 'true' }, () => {
+        return new SQSProcessor('orders').processBatch(event, lambdaContext, async (data, { logger }) => {
+            logger.log('DEBUG', 'loading_order', { orderId: data.orderId });
+            if (data.orderId === 'm2') throw new Error('order m2 is locked');
+        });
+    });
+
+    assert.deepEqual(result, { batchItemFailures: [{ itemIdentifier: 'm2' }] });
+
+    const buffered = logs.lines.filter(line => line.message === 'loading_order');
+    assert.deepEqual(buffered.map(line => line.orderId), ['m2']);
+
+    // Held entries go out ahead of the failure they explain
+    const failureIndex = logs.lines.findIndex(line => line.level === 'ERROR' && line.messageId === 'm2');
+    assert.ok(logs.lines.indexOf(buffered[0]) < failureIndex);
+});
+
+test('a successful invocation discards its buffered DEBUG entries', async () => {
+    const event = { Records: [sqsRecord('m1'), sqsRecord('m2')] };
+
+    await withEnv({ LOG_LEVEL: 'INFO', LOG_BUFFER_DEBUG: 'true' }, () => {
+        return new SQSProcessor('orders').processBatch(event, lambdaContext, async (data, { logger }) => {
+            logger.log('DEBUG', 'loading_order', { orderId: data.orderId });
+        });
+    });
+
+    assert.deepEqual(messages('DEBUG'), []);
+    assert.ok(logs.lines.some(line => line.message === 'telemetry_flushed'));
+});
+
+test('a full buffer drops the oldest entries and says how many', () => {
+    const obs = new ObservabilityManager('orders', { logLevel: 'INFO', bufferDebugLogs: true, logBufferSize: 2 });
+
+    obs.log('DEBUG', 'step_1');
+    obs.log('DEBUG', 'step_2');
+    obs.log('DEBUG', 'step_3');
+    assert.equal(logs.lines.length, 0);
+
+    obs.markError('boom');
+
+    assert.deepEqual(logs.lines.map(line => [line.level, line.message]), [
+        ['DEBUG', 'step_2'],
+        ['DEBUG', 'step_3'],
+        ['WARN', 'debug_logs_dropped']
+    ]);
+    assert.equal(logs.lines[2].droppedCount, 1);
+    assert.equal(logs.lines[2].logBufferSize, 2);
+
+    // After the failure the invocation logs DEBUG straight away
+    obs.log('DEBUG', 'step_4');
+    assert.equal(logs.lines.at(-1).message, 'step_4');
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SQSProcessor } from '../index.js';
+import { captureLogs, lambdaContext, sqsRecord } from './helpers.js';
+
+// No OpenTelemetry SDK is registered in this process, so every span comes from the no-op tracer
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+const logs = captureLogs();
+
+test('records without incoming context log no trace IDs instead of all-zero ones', async () => {
+    let traceContext;
+
+    const result = await new SQSProcessor('orders').processBatch({ Records: [sqsRecord('m1')] }, lambdaContext, async (data, { logger }) => {
+        logger.log('INFO', 'handling_order');
+        traceContext = logger.getTraceContext();
+    });
+
+    assert.deepEqual(result, { batchItemFailures: [] });
+    assert.equal(traceContext, null);
+
+    const recordLines = logs.lines.filter(line => line.messageId === 'm1');
+    assert.ok(recordLines.some(line => line.message === 'handling_order'));
+
+    for (const line of logs.lines) {
+        assert.equal(line.traceId, undefined, line.message);
+        assert.equal(line.spanId, undefined, line.message);
+    }
+});
+
+test('records with an incoming traceparent log that trace', async () => {
+    const record = sqsRecord('m2', {
+        traceparent: { dataType: 'String', stringValue: `00-${TRACE_ID}-${PARENT_ID}-01` }
+    });
+
+    await new SQSProcessor('orders').processBatch({ Records: [record] }, lambdaContext, async (data, { logger }) => {
+        logger.log('INFO', 'handling_order');
+    });
+
+    const line = logs.lines.find(entry => entry.message === 'handling_order');
+    assert.equal(line.traceId, TRACE_ID);
+    assert.equal(line.spanId, PARENT_ID);
+    assert.equal(logs.lines.find(entry => entry.message === 'function_started').traceId, undefined);
+});
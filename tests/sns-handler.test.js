@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SNSHandler } from '../index.js';
+import { captureLogs, lambdaContext } from './helpers.js';
+
+const logs = captureLogs();
+
+const TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:orders';
+
+function snsRecord(messageId, message) {
+    return {
+        EventSource: 'aws:sns',
+        Sns: {
+            MessageId: messageId,
+            TopicArn: TOPIC_ARN,
+            Subject: 'OrderPlaced',
+            Message: JSON.stringify(message),
+            MessageAttributes: { priority: { Type: 'Number', Value: '2' } }
+        }
+    };
+}
+
+test('messages are parsed and handed over with their topic and attributes', async () => {
+    const result = await new SNSHandler('orders').handle({ Records: [snsRecord('m1', { orderId: 'o1' })] }, lambdaContext,
+        async (data, { topicArn, subject, messageAttributes }) => ({ data, topicArn, subject, messageAttributes }));
+
+    assert.deepEqual(result, {
+        data: { orderId: 'o1' },
+        topicArn: TOPIC_ARN,
+        subject: 'OrderPlaced',
+        messageAttributes: { priority: 2 }
+    });
+});
+
+test('failed messages fail the invocation after every message ran', async () => {
+    const handled = [];
+    const event = { Records: [snsRecord('m1', { fail: true }), snsRecord('m2', {}), snsRecord('m3', { fail: true })] };
+
+    await assert.rejects(
+        new SNSHandler('orders').handle(event, lambdaContext, async (data, { messageId }) => {
+            handled.push(messageId);
+            if (data.fail) throw new Error(`cannot handle ${messageId}`);
+        }),
+        /2 of 3 SNS messages failed/
+    );
+
+    assert.deepEqual(handled, ['m1', 'm2', 'm3']);
+
+    const invocationFailure = logs.lines.find(line => line.message === 'operation_failed' && line.messageId === undefined);
+    assert.equal(invocationFailure.level, 'ERROR');
+    assert.equal(invocationFailure.errorCount, 2);
+});
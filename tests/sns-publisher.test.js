@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SNSPublisher } from '../index.js';
+import { captureLogs, fakeClient, orders } from './helpers.js';
+
+const TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:orders';
+const FIFO_TOPIC_ARN = `${TOPIC_ARN}.fifo`;
+
+const logs = captureLogs();
+
+// Fails the listed entry Ids on the given calls (1-based) and succeeds everything else
+function failEntries(failuresByCall) {
+    return (input, call) => {
+        const failures = failuresByCall[call] || {};
+        const entries = input.PublishBatchRequestEntries;
+
+        return {
+            Successful: entries.filter(entry => !failures[entry.Id]).map(entry => ({ Id: entry.Id, MessageId: `id-${entry.Id}` })),
+            Failed: entries.filter(entry => failures[entry.Id]).map(entry => ({
+                Id: entry.Id,
+                Code: failures[entry.Id].code,
+                Message: 'failed',
+                SenderFault: failures[entry.Id].senderFault
+            }))
+        };
+    };
+}
+
+const throttled = { code: 'Throttled', senderFault: false };
+const invalid = { code: 'InvalidParameter', senderFault: true };
+
+test('publishBatch publishes in chunks of 10 and reports every entry by index', async () => {
+    const client = fakeClient();
+    const report = await new SNSPublisher('orders', client).publishBatch(TOPIC_ARN, orders(12));
+
+    assert.deepEqual(client.requests.map(request => request.PublishBatchRequestEntries.length), [10, 2]);
+    assert.equal(report.successCount, 12);
+    assert.equal(report.retriedCount, 0);
+    assert.deepEqual(report.successful.map(entry => entry.index), [...Array(12).keys()]);
+});
+
+test('only failures that are not the sender\'s fault are retried', async () => {
+    const client = fakeClient(failEntries({ 1: { 'msg-1': throttled, 'msg-2': invalid } }));
+    const report = await new SNSPublisher('orders', client).publishBatch(TOPIC_ARN, orders(4), { retryDelayMs: 0 });
+
+    assert.deepEqual(client.requests.map(request => request.PublishBatchRequestEntries.map(entry => entry.Id)), [
+        ['msg-0', 'msg-1', 'msg-2', 'msg-3'],
+        ['msg-1']
+    ]);
+    assert.equal(report.retriedCount, 1);
+    assert.deepEqual(report.successful.map(entry => [entry.index, entry.attempts]), [[0, 1], [3, 1], [1, 2]]);
+    assert.deepEqual(report.failed, [
+        { index: 2, id: 'msg-2', code: 'InvalidParameter', message: 'failed', senderFault: true, attempts: 1 }
+    ]);
+    assert.ok(logs.lines.some(line => line.message === 'sns_batch_partial_failure' && line.failureCount === 1));
+});
+
+test('entries that keep failing are reported after maxRetries retries', async () => {
+    const client = fakeClient(failEntries({ 1: { 'msg-0': throttled }, 2: { 'msg-0': throttled }, 3: { 'msg-0': throttled } }));
+    const report = await new SNSPublisher('orders', client).publishBatch(TOPIC_ARN, orders(2), { maxRetries: 2, retryDelayMs: 0 });
+
+    assert.equal(client.requests.length, 3);
+    assert.equal(report.retriedCount, 2);
+    assert.equal(report.successCount, 1);
+    assert.deepEqual(report.failed.map(entry => [entry.index, entry.code, entry.attempts]), [[0, 'Throttled', 3]]);
+});
+
+test('maxRetries 0 reports retryable failures without retrying', async () => {
+    const client = fakeClient(failEntries({ 1: { 'msg-0': throttled } }));
+    const report = await new SNSPublisher('orders', client).publishBatch(TOPIC_ARN, orders(2), { maxRetries: 0 });
+
+    assert.equal(client.requests.length, 1);
+    assert.equal(report.retriedCount, 0);
+    assert.deepEqual(report.failed.map(entry => [entry.index, entry.attempts]), [[0, 1]]);
+});
+
+test('the whole chunk is retried when the request itself fails', async () => {
+    const client = fakeClient((input, call) => {
+        if (call === 1) {
+            throw Object.assign(new Error('service unavailable'), { name: 'InternalError', $fault: 'server' });
+        }
+        return failEntries({})(input, call);
+    });
+    const report = await new SNSPublisher('orders', client).publishBatch(TOPIC_ARN, orders(3), { retryDelayMs: 0 });
+
+    assert.equal(client.requests.length, 2);
+    assert.deepEqual(client.requests[1], client.requests[0]);
+    assert.equal(report.retriedCount, 3);
+    assert.deepEqual(report.successful.map(entry => [entry.index, entry.attempts]), [[0, 2], [1, 2], [2, 2]]);
+    assert.equal(report.failureCount, 0);
+});
+
+test('a request rejected as the sender\'s fault is not retried', async () => {
+    const client = fakeClient(() => {
+        throw Object.assign(new Error('bad topic'), { name: 'InvalidParameterException', $fault: 'client' });
+    });
+    const report = await new SNSPublisher('orders', client).publishBatch(TOPIC_ARN, orders(2), { retryDelayMs: 0 });
+
+    assert.equal(client.requests.length, 1);
+    assert.equal(report.retriedCount, 0);
+    assert.deepEqual(report.failed.map(entry => [entry.index, entry.code, entry.senderFault, entry.attempts]), [
+        [0, 'InvalidParameterException', true, 1],
+        [1, 'InvalidParameterException', true, 1]
+    ]);
+});
+
+test('publishBatch to a FIFO topic publishes nothing when any entry lacks messageGroupId', async () => {
+    const client = fakeClient();
+
+    await assert.rejects(
+        new SNSPublisher('orders', client).publishBatch(FIFO_TOPIC_ARN, orders(12), {
+            messageGroupId: (order, index) => (index === 11 ? undefined : order.customerId)
+        }),
+        /messageGroupId is required for FIFO topic/
+    );
+    assert.equal(client.requests.length, 0);
+});
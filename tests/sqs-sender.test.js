@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SQSSender } from '../index.js';
+import { captureLogs, fakeClient, orders } from './helpers.js';
+
+const QUEUE_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/orders';
+const FIFO_QUEUE_URL = `${QUEUE_URL}.fifo`;
+
+captureLogs();
+
+test('sendBatch sends in chunks of 10 and reports every entry by index', async () => {
+    const client = fakeClient();
+    const report = await new SQSSender('orders', client).sendBatch(QUEUE_URL, orders(12), { delaySeconds: 5 });
+
+    assert.deepEqual(client.requests.map(request => request.Entries.length), [10, 2]);
+    assert.ok(client.requests.every(request => request.Entries.every(entry => entry.DelaySeconds === 5)));
+    assert.equal(report.successCount, 12);
+    assert.deepEqual(report.successful.map(entry => entry.index), [...Array(12).keys()]);
+});
+
+test('sendBatch to a FIFO queue sends nothing when any entry lacks messageGroupId', async () => {
+    const client = fakeClient();
+    const sender = new SQSSender('orders', client);
+
+    await assert.rejects(
+        sender.sendBatch(FIFO_QUEUE_URL, orders(12), {
+            messageGroupId: (order, index) => (index === 11 ? undefined : order.customerId)
+        }),
+        /messageGroupId is required for FIFO queue/
+    );
+    assert.equal(client.requests.length, 0);
+});
+
+test('per-message delays are rejected for FIFO queues', async () => {
+    const client = fakeClient();
+    const sender = new SQSSender('orders', client);
+
+    await assert.rejects(
+        sender.send(FIFO_QUEUE_URL, { orderId: 'o1' }, { messageGroupId: 'c1', delaySeconds: 5 }),
+        /delaySeconds is not supported for FIFO queue/
+    );
+    await assert.rejects(
+        sender.sendBatch(FIFO_QUEUE_URL, orders(3), { messageGroupId: 'c1', delaySeconds: () => 5 }),
+        /delaySeconds is not supported for FIFO queue/
+    );
+    assert.equal(client.requests.length, 0);
+
+    await sender.sendBatch(FIFO_QUEUE_URL, orders(3), { messageGroupId: (order) => order.customerId });
+    assert.deepEqual(client.requests[0].Entries.map(entry => [entry.MessageGroupId, entry.DelaySeconds]), [
+        ['c0', undefined], ['c1', undefined], ['c2', undefined]
+    ]);
+});
@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    validateTraceparent,
+    parseTraceparent,
+    validateTracestate,
+    parseTracestate,
+    httpHeaderGetter,
+    ObservabilityManager
+} from '../index.js';
+import { captureLogs } from './helpers.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+const TRACEPARENT = `00-${TRACE_ID}-${PARENT_ID}-01`;
+
+const logs = captureLogs();
+
+test('parseTraceparent reads a version 00 header', () => {
+    assert.deepEqual(parseTraceparent(TRACEPARENT), {
+        version: '00',
+        traceId: TRACE_ID,
+        spanId: PARENT_ID,
+        traceFlags: 1,
+        sampled: true,
+        traceparent: TRACEPARENT
+    });
+    assert.equal(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-00`).sampled, false);
+    assert.equal(validateTraceparent(TRACEPARENT), null);
+});
+
+test('parseTraceparent only reads the sampled bit from the flags', () => {
+    const parsed = parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-03`);
+
+    assert.equal(parsed.traceFlags, 3);
+    assert.equal(parsed.sampled, true);
+    assert.equal(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-02`).sampled, false);
+});
+
+test('surrounding whitespace is ignored', () => {
+    assert.equal(parseTraceparent(`  ${TRACEPARENT}\t`).traceparent, TRACEPARENT);
+});
+
+test('future versions may append fields and are propagated as version 00', () => {
+    assert.equal(parseTraceparent(`cc-${TRACE_ID}-${PARENT_ID}-01`).traceparent, TRACEPARENT);
+    assert.equal(parseTraceparent(`cc-${TRACE_ID}-${PARENT_ID}-01-what-the-future-holds`).version, 'cc');
+    assert.equal(parseTraceparent(`cc-${TRACE_ID}-${PARENT_ID}-01-what-the-future-holds`).traceparent, TRACEPARENT);
+    assert.equal(validateTraceparent(`cc-${TRACE_ID}-${PARENT_ID}-01x`), 'invalid_length');
+});
+
+test('validateTraceparent explains what is wrong', () => {
+    const cases = [
+        [undefined, 'not_a_string'],
+        [42, 'not_a_string'],
+        ['', 'invalid_version'],
+        [`0g-${TRACE_ID}-${PARENT_ID}-01`, 'invalid_version'],
+        [`AA-${TRACE_ID}-${PARENT_ID}-01`, 'invalid_version'],
+        [`ff-${TRACE_ID}-${PARENT_ID}-01`, 'forbidden_version'],
+        [`00-${TRACE_ID}-${PARENT_ID}-01-extra`, 'invalid_length'],
+        [`00-${TRACE_ID}-${PARENT_ID}-1`, 'invalid_length'],
+        [`cc-${TRACE_ID}-${PARENT_ID}-1`, 'invalid_length'],
+        [`00_${TRACE_ID}-${PARENT_ID}-01`, 'invalid_format'],
+        [`00-${TRACE_ID}_${PARENT_ID}-01`, 'invalid_format'],
+        [`00-${TRACE_ID}-${PARENT_ID}_01`, 'invalid_format'],
+        [`00-${TRACE_ID.toUpperCase()}-${PARENT_ID}-01`, 'invalid_trace_id'],
+        [`00-${TRACE_ID.slice(0, 31)}z-${PARENT_ID}-01`, 'invalid_trace_id'],
+        [`00-${'0'.repeat(32)}-${PARENT_ID}-01`, 'zero_trace_id'],
+        [`00-${TRACE_ID}-${PARENT_ID.toUpperCase()}-01`, 'invalid_parent_id'],
+        [`00-${TRACE_ID}-${'0'.repeat(16)}-01`, 'zero_parent_id'],
+        [`00-${TRACE_ID}-${PARENT_ID}-0G`, 'invalid_flags'],
+        [`00-${TRACE_ID}-${PARENT_ID}-0A`, 'invalid_flags']
+    ];
+
+    for (const [value, reason] of cases) {
+        assert.equal(validateTraceparent(value), reason, String(value));
+        assert.equal(parseTraceparent(value), null, String(value));
+    }
+});
+
+test('parseTracestate reads simple and multi-tenant keys', () => {
+    assert.deepEqual(parseTracestate('rojo=00f067aa0ba902b7, congo@t61rcwkgmze=x,a-b_c*d/e=1'), {
+        entries: [['rojo', '00f067aa0ba902b7'], ['congo@t61rcwkgmze', 'x'], ['a-b_c*d/e', '1']],
+        tracestate: 'rojo=00f067aa0ba902b7,congo@t61rcwkgmze=x,a-b_c*d/e=1'
+    });
+    assert.equal(validateTracestate('congo@T61rcwkgmze=x'), 'invalid_key');
+});
+
+test('tracestate keys follow the spec grammar', () => {
+    for (const key of ['a', 'vendor', 'a1_-*/', '1tenant@vendor', 'tenant@v', `${'a'.repeat(241)}@${'v'.repeat(14)}`]) {
+        assert.equal(validateTracestate(`${key}=1`), null, key);
+    }
+
+    for (const key of ['Vendor', '1vendor', '_vendor', 'ven dor', 'ven.dor', '@vendor', 'tenant@', 'tenant@1vendor',
+        `${'a'.repeat(242)}@v`, `t@${'v'.repeat(15)}`, `a${'b'.repeat(256)}`]) {
+        assert.equal(validateTracestate(`${key}=1`), 'invalid_key', key);
+    }
+});
+
+test('tracestate values follow the spec grammar', () => {
+    for (const value of ['1', 'a b', '!~', 'x'.repeat(256)]) {
+        assert.equal(validateTracestate(`k=${value}`), null, value);
+    }
+
+    for (const value of ['', 'a=b', 'a\x7f', 'é', 'x'.repeat(257)]) {
+        assert.equal(validateTracestate(`k=${value}`), 'invalid_value', value);
+    }
+});
+
+test('tracestate rejects malformed members and duplicates', () => {
+    assert.equal(validateTracestate('novalue'), 'invalid_member');
+    assert.equal(validateTracestate('=1'), 'invalid_member');
+    assert.equal(validateTracestate('a=1,b=2,a=3'), 'duplicate_key');
+    assert.equal(validateTracestate(undefined), 'not_a_string');
+    assert.equal(parseTracestate('a=1,a=2'), null);
+});
+
+test('empty tracestate members are skipped', () => {
+    assert.equal(parseTracestate('a=1,, ,b=2,').tracestate, 'a=1,b=2');
+    assert.deepEqual(parseTracestate(''), { entries: [], tracestate: '' });
+});
+
+test('tracestate allows 32 members but not 33', () => {
+    const members = (count) => Array.from({ length: count }, (_, i) => `k${i}=v`).join(',');
+
+    assert.equal(parseTracestate(members(32)).entries.length, 32);
+    assert.equal(validateTracestate(members(33)), 'too_many_members');
+});
+
+test('tracestate over 512 characters drops members over 128 characters first', () => {
+    const long = `big=${'x'.repeat(200)}`;
+    const small = Array.from({ length: 10 }, (_, i) => `k${i}=${'v'.repeat(30)}`);
+    const parsed = parseTracestate([small[0], long, long.replace('big', 'huge'), ...small.slice(1)].join(','));
+
+    assert.deepEqual(parsed.entries.map(([key]) => key), small.map(member => member.split('=')[0]));
+    assert.equal(parsed.tracestate, small.join(','));
+});
+
+test('tracestate still over 512 characters is trimmed from the end', () => {
+    const members = Array.from({ length: 20 }, (_, i) => `k${String(i).padStart(2, '0')}=${'v'.repeat(100)}`);
+    const parsed = parseTracestate(members.join(','));
+
+    assert.ok(parsed.tracestate.length <= 512);
+    assert.deepEqual(parsed.entries.map(([key]) => key), ['k00', 'k01', 'k02', 'k03']);
+    assert.equal(parsed.tracestate, members.slice(0, 4).join(','));
+});
+
+test('tracestate of 512 characters or less is left alone', () => {
+    const members = [`a=${'x'.repeat(251)}`, `b=${'x'.repeat(256)}`];
+    assert.equal(members.join(',').length, 512);
+    assert.equal(parseTracestate(members.join(',')).tracestate, members.join(','));
+});
+
+test('the validating getter passes valid headers through in normalized form', () => {
+    const getter = new ObservabilityManager('svc').createValidatingGetter(httpHeaderGetter);
+    const carrier = {
+        Traceparent: ` cc-${TRACE_ID}-${PARENT_ID}-01-future `,
+        tracestate: 'a=1,,b=2',
+        'x-custom': 'kept'
+    };
+
+    assert.equal(getter.get(carrier, 'traceparent'), TRACEPARENT);
+    assert.equal(getter.get(carrier, 'tracestate'), 'a=1,b=2');
+    assert.equal(getter.get(carrier, 'x-custom'), 'kept');
+    assert.equal(getter.get(carrier, 'missing'), undefined);
+    assert.deepEqual(getter.keys(carrier), ['Traceparent', 'tracestate', 'x-custom']);
+    assert.equal(logs.lines.length, 0);
+});
+
+test('the validating getter hides invalid headers and reports each once', () => {
+    const obs = new ObservabilityManager('svc');
+    const getter = obs.createValidatingGetter(httpHeaderGetter);
+    const carrier = { traceparent: `00-${'0'.repeat(32)}-${PARENT_ID}-01`, tracestate: 'Bad=1' };
+
+    assert.equal(getter.get(carrier, 'traceparent'), undefined);
+    assert.equal(getter.get(carrier, 'traceparent'), undefined);
+    assert.equal(getter.get(carrier, 'tracestate'), undefined);
+
+    assert.equal(obs.invalidTraceContextCount, 2);
+    assert.deepEqual(logs.lines.map(line => [line.level, line.message, line.header, line.reason]), [
+        ['WARN', 'invalid_trace_context', 'traceparent', 'zero_trace_id'],
+        ['WARN', 'invalid_trace_context', 'tracestate', 'invalid_key']
+    ]);
+});
+
+test('incoming requests with an invalid traceparent get no trace context', () => {
+    const obs = new ObservabilityManager('svc');
+
+    assert.equal(obs.extractIncomingTraceContext({ headers: { traceparent: `00-${TRACE_ID}-${PARENT_ID}-0G` } }), null);
+    assert.equal(logs.lines[0].reason, 'invalid_flags');
+
+    const traceContext = obs.extractIncomingTraceContext({ headers: { traceparent: TRACEPARENT, tracestate: 'a=1' } });
+    assert.equal(traceContext.traceparent, TRACEPARENT);
+    assert.equal(traceContext.tracestate, 'a=1');
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXRayTraceHeader, xrayToTraceparent, traceparentToXRay } from '../index.js';
+
+const ROOT = 'Root=1-5759e988-bd862e3fe1be46a994272793';
+const TRACE_ID = '5759e988bd862e3fe1be46a994272793';
+const PARENT = '53995c3f42cd8ad8';
+
+test('parseXRayTraceHeader reads every field', () => {
+    assert.deepEqual(parseXRayTraceHeader(`${ROOT};Parent=${PARENT};Sampled=1;Lineage=a87bd80c:1`), {
+        root: '1-5759e988-bd862e3fe1be46a994272793',
+        traceId: TRACE_ID,
+        parentId: PARENT,
+        sampled: true,
+        lineage: 'a87bd80c:1'
+    });
+});
+
+test('parseXRayTraceHeader maps Sampled 1, 0 and ? (deferred)', () => {
+    assert.equal(parseXRayTraceHeader(`${ROOT};Parent=${PARENT};Sampled=1`).sampled, true);
+    assert.equal(parseXRayTraceHeader(`${ROOT};Parent=${PARENT};Sampled=0`).sampled, false);
+    assert.equal(parseXRayTraceHeader(`${ROOT};Parent=${PARENT};Sampled=?`).sampled, undefined);
+    assert.equal(parseXRayTraceHeader(`${ROOT};Parent=${PARENT}`).sampled, undefined);
+});
+
+test('parseXRayTraceHeader accepts fields in any order, with spaces and mixed case hex', () => {
+    const xray = parseXRayTraceHeader(`Lineage=a87bd80c:1; Sampled=?; Parent=${PARENT.toUpperCase()}; ${ROOT.toUpperCase().replace('ROOT', 'Root')}`);
+
+    assert.equal(xray.traceId, TRACE_ID);
+    assert.equal(xray.parentId, PARENT);
+    assert.equal(xray.lineage, 'a87bd80c:1');
+});
+
+test('parseXRayTraceHeader rejects missing or malformed Root values', () => {
+    for (const header of [
+        undefined,
+        null,
+        '',
+        42,
+        `Parent=${PARENT};Sampled=1`,
+        'Root=;Sampled=1',
+        'Root=2-5759e988-bd862e3fe1be46a994272793',
+        'Root=1-5759e98-bd862e3fe1be46a994272793',
+        'Root=1-5759e988-bd862e3fe1be46a99427279',
+        'Root=1-5759e988-bd862e3fe1be46a9942727931',
+        'Root=1-5759e98g-bd862e3fe1be46a994272793',
+        'Root=1-5759e988bd862e3fe1be46a994272793',
+        'Root=5759e988bd862e3fe1be46a994272793'
+    ]) {
+        assert.equal(parseXRayTraceHeader(header), null, String(header));
+    }
+});
+
+test('parseXRayTraceHeader ignores a malformed Parent', () => {
+    assert.equal(parseXRayTraceHeader(`${ROOT};Parent=53995c3f42cd8ad;Sampled=1`).parentId, undefined);
+    assert.equal(parseXRayTraceHeader(`${ROOT};Parent=53995c3f42cd8adz`).parentId, undefined);
+});
+
+test('xrayToTraceparent builds a W3C context and keeps Lineage', () => {
+    assert.deepEqual(xrayToTraceparent(`${ROOT};Parent=${PARENT};Sampled=1;Lineage=a87bd80c:1`), {
+        traceId: TRACE_ID,
+        spanId: PARENT,
+        traceFlags: 1,
+        traceparent: `00-${TRACE_ID}-${PARENT}-01`,
+        lineage: 'a87bd80c:1'
+    });
+});
+
+test('xrayToTraceparent only sets the sampled flag for Sampled=1', () => {
+    assert.equal(xrayToTraceparent(`${ROOT};Parent=${PARENT};Sampled=0`).traceparent, `00-${TRACE_ID}-${PARENT}-00`);
+    assert.equal(xrayToTraceparent(`${ROOT};Parent=${PARENT};Sampled=?`).traceparent, `00-${TRACE_ID}-${PARENT}-00`);
+});
+
+test('xrayToTraceparent needs a Parent and a valid Root', () => {
+    assert.equal(xrayToTraceparent(`${ROOT};Sampled=1`), null);
+    assert.equal(xrayToTraceparent(`${ROOT};Parent=nothex;Sampled=1`), null);
+    assert.equal(xrayToTraceparent(`Root=1-bad;Parent=${PARENT};Sampled=1`), null);
+    assert.equal(xrayToTraceparent(undefined), null);
+});
+
+test('traceparentToXRay converts sampled and unsampled contexts', () => {
+    assert.equal(traceparentToXRay(`00-${TRACE_ID}-${PARENT}-01`), `${ROOT};Parent=${PARENT};Sampled=1`);
+    assert.equal(traceparentToXRay(`00-${TRACE_ID}-${PARENT}-00`), `${ROOT};Parent=${PARENT};Sampled=0`);
+});
+
+test('traceparentToXRay appends Lineage when given', () => {
+    assert.equal(
+        traceparentToXRay(`00-${TRACE_ID}-${PARENT}-01`, { lineage: 'a87bd80c:1' }),
+        `${ROOT};Parent=${PARENT};Sampled=1;Lineage=a87bd80c:1`
+    );
+});
+
+test('traceparentToXRay rejects invalid traceparents', () => {
+    assert.equal(traceparentToXRay(`00-${'0'.repeat(32)}-${PARENT}-01`), null);
+    assert.equal(traceparentToXRay('garbage'), null);
+    assert.equal(traceparentToXRay(undefined), null);
+});
+
+test('X-Ray -> W3C -> X-Ray round-trips for Sampled 1 and 0, with and without Lineage', () => {
+    for (const header of [
+        `${ROOT};Parent=${PARENT};Sampled=1`,
+        `${ROOT};Parent=${PARENT};Sampled=0`,
+        `${ROOT};Parent=${PARENT};Sampled=1;Lineage=a87bd80c:1`,
+        `${ROOT};Parent=${PARENT};Sampled=0;Lineage=25:1`
+    ]) {
+        const { traceparent, lineage } = xrayToTraceparent(header);
+        assert.equal(traceparentToXRay(traceparent, { lineage }), header);
+    }
+});
+
+test('a deferred (Sampled=?) decision round-trips as not sampled', () => {
+    const { traceparent } = xrayToTraceparent(`${ROOT};Parent=${PARENT};Sampled=?`);
+    assert.equal(traceparentToXRay(traceparent), `${ROOT};Parent=${PARENT};Sampled=0`);
+});
+
+test('W3C -> X-Ray -> W3C round-trips', () => {
+    for (const traceparent of [`00-${TRACE_ID}-${PARENT}-01`, `00-${TRACE_ID}-${PARENT}-00`]) {
+        assert.equal(xrayToTraceparent(traceparentToXRay(traceparent)).traceparent, traceparent);
+    }
+});